@@ -0,0 +1,73 @@
+// academicTerms.js
+
+const { isFinalStatus } = require('./applicationStatus');
+
+/**
+ * Academic terms, used to allow one active application per student per term.
+ * A term is derived from a date in the school's timezone:
+ *
+ *   August – December → 1st semester of AY <year>-<year + 1>
+ *   January – May     → 2nd semester of AY <year - 1>-<year>
+ *   June – July       → midyear term of AY <year - 1>-<year>
+ *
+ * Term IDs look like `2026-2027-1`, `2026-2027-2` and `2026-2027-M`.
+ */
+const ACADEMIC_TIMEZONE = process.env.ACADEMIC_TIMEZONE || 'Asia/Manila';
+
+const TERM_LABELS = Object.freeze({ 1: '1st Semester', 2: '2nd Semester', M: 'Midyear' });
+
+const monthFormatter = new Intl.DateTimeFormat('en-CA', { timeZone: ACADEMIC_TIMEZONE, year: 'numeric', month: 'numeric' });
+
+/**
+ * Returns the academic term a date falls in.
+ * @param {Date} [date] - Defaults to now.
+ * @returns {string} - Term ID, e.g. '2026-2027-1'.
+ */
+function getAcademicTerm(date = new Date()) {
+    const parts = Object.fromEntries(monthFormatter.formatToParts(date).map((part) => [part.type, Number(part.value)]));
+    const { year, month } = parts;
+
+    if (month >= 8) return `${year}-${year + 1}-1`;
+    if (month <= 5) return `${year - 1}-${year}-2`;
+    return `${year - 1}-${year}-M`;
+}
+
+/**
+ * Human-readable term name for messages.
+ * @param {string} termId - From getAcademicTerm.
+ * @returns {string} - e.g. '1st Semester, AY 2026-2027'.
+ */
+function formatAcademicTerm(termId) {
+    const match = /^(\d{4}-\d{4})-([12M])$/.exec(termId || '');
+    return match ? `${TERM_LABELS[match[2]]}, AY ${match[1]}` : String(termId);
+}
+
+/**
+ * The term an application belongs to. Applications submitted before terms
+ * were recorded are placed by their submission date.
+ * @param {Object} application - scholarship_applications document data.
+ * @returns {string|null}
+ */
+function getApplicationTerm(application) {
+    if (application.academicTerm) return application.academicTerm;
+    const submittedAt = application.submittedAt?.toDate?.();
+    return submittedAt ? getAcademicTerm(submittedAt) : null;
+}
+
+/**
+ * Checks whether an application still blocks a new one in the given term.
+ * @param {Object} application - scholarship_applications document data.
+ * @param {string} termId - The term of the new application.
+ * @returns {boolean}
+ */
+function isActiveInTerm(application, termId) {
+    return !isFinalStatus(application.status) && getApplicationTerm(application) === termId;
+}
+
+module.exports = {
+    ACADEMIC_TIMEZONE,
+    getAcademicTerm,
+    formatAcademicTerm,
+    getApplicationTerm,
+    isActiveInTerm
+};
@@ -0,0 +1,172 @@
+// applicationExport.js
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { buildApplicationQuery } = require('./applicationSearch');
+const { createHttpError } = require('./httpError');
+
+// Applications are read from Firestore and joined with MongoDB students one page at a time
+const EXPORT_PAGE_SIZE = 200;
+
+const EXPORT_FORMATS = Object.freeze({
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+});
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value || null);
+
+/**
+ * Every column that can be exported. `value(application, student)` reads the
+ * Firestore application and the matching MongoDB student (which may be null).
+ * Course and year level come from the student record when there is one.
+ */
+const EXPORT_COLUMNS = Object.freeze({
+    applicationId: { header: 'Application ID', width: 24, value: (app) => app.id },
+    studentId: { header: 'Student No.', width: 16, value: (app) => app.studentId },
+    lastName: { header: 'Last Name', width: 18, value: (app, student) => student?.lastName ?? app.lastName },
+    firstName: { header: 'First Name', width: 18, value: (app, student) => student?.firstName ?? app.firstName },
+    middleName: { header: 'Middle Name', width: 18, value: (app, student) => student?.middleName ?? app.middleName },
+    email: { header: 'Email', width: 28, value: (app, student) => student?.email ?? app.email },
+    course: { header: 'Course', width: 14, value: (app, student) => student?.course ?? app.course },
+    yearLevel: { header: 'Year Level', width: 10, value: (app, student) => student?.yearLevel ?? app.yearLevel },
+    scholarshipType: { header: 'Scholarship', width: 24, value: (app) => app.scholarshipType },
+    academicTerm: { header: 'Academic Term', width: 14, value: (app) => app.academicTerm },
+    status: { header: 'Status', width: 14, value: (app) => app.status },
+    awardAmount: { header: 'Award Amount', width: 14, numFmt: '#,##0.00', value: (app) => app.award?.amount ?? null },
+    awardCurrency: { header: 'Currency', width: 10, value: (app) => app.award?.currency ?? null },
+    gwa: { header: 'GWA', width: 8, value: (app) => app.award?.breakdown?.inputs?.gwa ?? app.gwa },
+    tuitionFee: { header: 'Tuition Fee', width: 14, numFmt: '#,##0.00', value: (app) => app.award?.breakdown?.inputs?.tuitionFee ?? app.tuitionFee },
+    adminComment: { header: 'Admin Comment', width: 40, value: (app) => app.adminComment },
+    submittedAt: { header: 'Submitted At', width: 20, numFmt: 'yyyy-mm-dd hh:mm', value: (app) => toDate(app.submittedAt) },
+    updatedAt: { header: 'Last Updated', width: 20, numFmt: 'yyyy-mm-dd hh:mm', value: (app) => toDate(app.updatedAt) }
+});
+
+const DEFAULT_EXPORT_COLUMNS = Object.freeze([
+    'studentId', 'lastName', 'firstName', 'middleName', 'email', 'course', 'yearLevel',
+    'scholarshipType', 'status', 'awardAmount', 'awardCurrency', 'submittedAt'
+]);
+
+/**
+ * Reads the export format and the `columns` query parameter (comma-separated keys).
+ * @param {Object} query - `req.query`.
+ * @returns {{format: string, columns: string[]}}
+ * @throws {Error} - 400 HTTP error for an unknown format or column.
+ */
+function parseExportOptions(query) {
+    const format = String(query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        throw createHttpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+    }
+
+    const columns = query.columns
+        ? String(query.columns).split(',').map((column) => column.trim()).filter(Boolean)
+        : [...DEFAULT_EXPORT_COLUMNS];
+    const unknown = columns.filter((column) => !EXPORT_COLUMNS[column]);
+    if (columns.length === 0 || unknown.length > 0) {
+        throw createHttpError(400, `Unknown export column(s): ${unknown.join(', ') || '(none given)'}.`, {
+            availableColumns: Object.keys(EXPORT_COLUMNS)
+        });
+    }
+
+    return { format, columns };
+}
+
+/**
+ * Yields every matching application with its student record, page by page.
+ * @param {FirebaseFirestore.CollectionReference} collectionRef - scholarship_applications.
+ * @param {import('mongodb').Collection} studentsCollection - MongoDB students.
+ * @param {Object} listOptions - Output of parseListQuery (its limit and cursor are ignored).
+ */
+async function* iterateApplicationsWithStudents(collectionRef, studentsCollection, listOptions) {
+    let cursor = null;
+
+    while (true) {
+        const options = { ...listOptions, limit: EXPORT_PAGE_SIZE, cursor };
+        const snapshot = await buildApplicationQuery(collectionRef, options).get();
+        const docs = snapshot.docs.slice(0, EXPORT_PAGE_SIZE);
+        if (docs.length === 0) return;
+
+        const userIds = [...new Set(docs.map((doc) => doc.get('userId')).filter(Boolean))];
+        const students = await studentsCollection
+            .find({ studentNo: { $in: userIds } }, {
+                projection: { password: 0, verificationCode: 0, verificationCodeHash: 0, verificationLinkTokenHash: 0, passwordResetCodeHash: 0, emailChangeCodeHash: 0 }
+            })
+            .toArray();
+        const studentsByUid = new Map(students.map((student) => [student.studentNo, student]));
+
+        for (const doc of docs) {
+            const application = { id: doc.id, ...doc.data() };
+            yield { application, student: studentsByUid.get(application.userId) || null };
+        }
+
+        if (snapshot.docs.length <= EXPORT_PAGE_SIZE) return;
+        const last = docs[docs.length - 1];
+        cursor = { value: last.get(listOptions.sortBy), id: last.id };
+    }
+}
+
+/**
+ * Escapes a CSV cell. Cells starting with = + - @ are prefixed with a quote so
+ * spreadsheet programs do not run them as formulas.
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Waits for the response buffer to drain so a slow client cannot make us hold the whole export
+async function writeWithBackpressure(stream, chunk) {
+    if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+/**
+ * Streams an export to a writable stream (the HTTP response).
+ * @param {stream.Writable} output - Where to write.
+ * @param {AsyncIterable} rows - Output of iterateApplicationsWithStudents.
+ * @param {{format: string, columns: string[]}} options - Output of parseExportOptions.
+ * @returns {Promise<number>} - Number of applications written.
+ */
+async function writeApplicationExport(output, rows, { format, columns }) {
+    const definitions = columns.map((key) => EXPORT_COLUMNS[key]);
+    let count = 0;
+
+    if (format === 'csv') {
+        // BOM so Excel opens UTF-8 names (ñ, accents) correctly
+        await writeWithBackpressure(output, '\uFEFF' + definitions.map((column) => toCsvCell(column.header)).join(',') + '\r\n');
+        for await (const { application, student } of rows) {
+            const line = definitions.map((column) => toCsvCell(column.value(application, student))).join(',');
+            await writeWithBackpressure(output, line + '\r\n');
+            count++;
+        }
+        output.end();
+        return count;
+    }
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+    const worksheet = workbook.addWorksheet('Applications');
+    worksheet.columns = columns.map((key) => ({
+        header: EXPORT_COLUMNS[key].header,
+        key,
+        width: EXPORT_COLUMNS[key].width,
+        style: EXPORT_COLUMNS[key].numFmt ? { numFmt: EXPORT_COLUMNS[key].numFmt } : {}
+    }));
+    worksheet.getRow(1).font = { bold: true };
+
+    for await (const { application, student } of rows) {
+        worksheet.addRow(definitions.map((column) => column.value(application, student) ?? null)).commit();
+        count++;
+    }
+    worksheet.commit();
+    await workbook.commit();
+    return count;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    parseExportOptions,
+    iterateApplicationsWithStudents,
+    writeApplicationExport
+};
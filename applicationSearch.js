@@ -0,0 +1,264 @@
+// applicationSearch.js
+
+const admin = require('./firebaseAdmin');
+const { isValidStatus } = require('./applicationStatus');
+const { createHttpError } = require('./httpError');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 20;
+// Firestore allows 500 writes per batch
+const BACKFILL_BATCH_SIZE = 400;
+
+// Fields the list can be sorted by, and how their values are stored
+const SORT_FIELDS = Object.freeze({
+    submittedAt: 'timestamp',
+    updatedAt: 'timestamp',
+    lastName: 'string',
+    studentId: 'string'
+});
+
+// Equality filters: query parameter → application field
+const EQUALITY_FILTERS = Object.freeze({
+    status: 'status',
+    scholarshipType: 'scholarshipType',
+    course: 'course',
+    yearLevel: 'yearLevel',
+    academicTerm: 'academicTerm'
+});
+
+// Lowercase, accents removed ("Peña" → "pena"), split on anything that is not a letter or digit
+function tokenize(value) {
+    return String(value ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Builds the `searchKeywords` array stored on each application.
+ * Firestore has no text search, so every prefix of the student's names and
+ * student number is stored and matched with `array-contains`.
+ * @param {Object} application - Application data (firstName, middleName, lastName, studentId).
+ * @returns {string[]}
+ */
+function buildSearchKeywords(application) {
+    const keywords = new Set();
+    const tokens = [application.firstName, application.middleName, application.lastName, application.studentId]
+        .flatMap(tokenize);
+
+    for (const token of tokens) {
+        const longest = Math.min(token.length, MAX_PREFIX_LENGTH);
+        for (let length = Math.min(MIN_PREFIX_LENGTH, token.length); length <= longest; length++) {
+            keywords.add(token.slice(0, length));
+        }
+    }
+    return [...keywords];
+}
+
+/**
+ * Writes `searchKeywords` on applications stored before the field existed (or
+ * with stale keywords), so `q` finds them too. Run with `npm run backfill-search`.
+ * Anonymised applications are left alone.
+ * @param {Object} [options]
+ * @param {boolean} [options.apply=false] - False only reports what would change.
+ * @returns {Promise<{mode: string, scanned: number, outdated: number, updated: number, failed: Object[]}>}
+ */
+async function backfillSearchKeywords({ apply = false } = {}) {
+    const firestoreDb = admin.firestore();
+    const report = { mode: apply ? 'apply' : 'dry-run', scanned: 0, outdated: 0, updated: 0, failed: [] };
+
+    let pending = [];
+    const flush = async () => {
+        const batch = firestoreDb.batch();
+        for (const { ref, searchKeywords } of pending) batch.update(ref, { searchKeywords });
+        try {
+            await batch.commit();
+            report.updated += pending.length;
+        } catch (error) {
+            report.failed.push(...pending.map(({ ref }) => ({ applicationId: ref.id, error: error.message || String(error) })));
+        }
+        pending = [];
+    };
+
+    const query = firestoreDb.collection('scholarship_applications')
+        .select('firstName', 'middleName', 'lastName', 'studentId', 'searchKeywords', 'anonymisedAt');
+    for await (const doc of query.stream()) {
+        report.scanned++;
+        const application = doc.data();
+        if (application.anonymisedAt) continue;
+
+        const searchKeywords = buildSearchKeywords(application);
+        const current = application.searchKeywords;
+        const upToDate = Array.isArray(current) && current.length === searchKeywords.length &&
+            current.every((keyword, index) => keyword === searchKeywords[index]);
+        if (upToDate) continue;
+
+        report.outdated++;
+        if (!apply) continue;
+        pending.push({ ref: doc.ref, searchKeywords });
+        if (pending.length >= BACKFILL_BATCH_SIZE) await flush();
+    }
+    if (pending.length > 0) await flush();
+
+    return report;
+}
+
+function encodeCursor(sortValue, docId) {
+    return Buffer.from(JSON.stringify({ v: sortValue, id: docId })).toString('base64url');
+}
+
+function decodeCursor(cursor, sortType) {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof id !== 'string') return null;
+        if (sortType === 'timestamp') {
+            return typeof v === 'number' ? { value: admin.firestore.Timestamp.fromMillis(v), id } : null;
+        }
+        return { value: v ?? null, id };
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseDateParam(value, name) {
+    if (value === undefined) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw createHttpError(400, `${name} must be a valid date.`);
+    return admin.firestore.Timestamp.fromDate(date);
+}
+
+/**
+ * Reads and validates the list query parameters.
+ * @param {Object} query - `req.query`.
+ * @returns {Object} - { filters, search, submittedFrom, submittedTo, sortBy, sortOrder, limit, cursor }
+ * @throws {Error} - 400 HTTP error for invalid parameters.
+ */
+function parseListQuery(query) {
+    const filters = {};
+    for (const [param, field] of Object.entries(EQUALITY_FILTERS)) {
+        if (query[param]) filters[field] = String(query[param]);
+    }
+    if (filters.status && !isValidStatus(filters.status)) {
+        throw createHttpError(400, `Unknown status "${filters.status}".`);
+    }
+    // Applications sharing a file with another student's (see documentFingerprints.js)
+    if (query.hasDuplicateDocuments === 'true') filters.hasDuplicateDocuments = true;
+
+    const submittedFrom = parseDateParam(query.submittedFrom, 'submittedFrom');
+    const submittedTo = parseDateParam(query.submittedTo, 'submittedTo');
+
+    const sortBy = query.sortBy || 'submittedAt';
+    if (!SORT_FIELDS[sortBy]) {
+        throw createHttpError(400, `sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}.`);
+    }
+    // Firestore needs the first sort field to be the one with the range filter
+    if ((submittedFrom || submittedTo) && sortBy !== 'submittedAt') {
+        throw createHttpError(400, "A submission date range can only be combined with sortBy=submittedAt.");
+    }
+
+    const sortOrder = (query.sortOrder || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(sortOrder)) throw createHttpError(400, "sortOrder must be asc or desc.");
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    // Only one keyword can be matched per query; the longest one is the most selective
+    const terms = tokenize(query.q);
+    const search = terms.length > 0
+        ? terms.reduce((longest, term) => (term.length > longest.length ? term : longest)).slice(0, MAX_PREFIX_LENGTH)
+        : null;
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(String(query.cursor), SORT_FIELDS[sortBy]);
+        if (!cursor) throw createHttpError(400, "Invalid cursor.");
+    }
+
+    return { filters, search, submittedFrom, submittedTo, sortBy, sortOrder, limit, cursor };
+}
+
+/**
+ * Builds the Firestore query for one page of applications.
+ * NOTE: Each combination of filters and sort field needs a composite index;
+ * Firestore's error message links to the index to create.
+ * @param {FirebaseFirestore.CollectionReference} collectionRef - scholarship_applications.
+ * @param {Object} options - Output of parseListQuery.
+ * @returns {FirebaseFirestore.Query}
+ */
+function buildApplicationQuery(collectionRef, options) {
+    const { filters, search, submittedFrom, submittedTo, sortBy, sortOrder, limit, cursor } = options;
+    let query = collectionRef;
+
+    for (const [field, value] of Object.entries(filters)) {
+        query = query.where(field, '==', value);
+    }
+    if (search) query = query.where('searchKeywords', 'array-contains', search);
+    if (submittedFrom) query = query.where('submittedAt', '>=', submittedFrom);
+    if (submittedTo) query = query.where('submittedAt', '<=', submittedTo);
+
+    // Document ID breaks ties so the cursor is stable
+    query = query
+        .orderBy(sortBy, sortOrder)
+        .orderBy(admin.firestore.FieldPath.documentId(), sortOrder);
+
+    if (cursor) query = query.startAfter(cursor.value, cursor.id);
+
+    // One extra document tells us whether there is a next page
+    return query.limit(limit + 1);
+}
+
+const toIso = (value) => (value && typeof value.toDate === 'function' ? value.toDate().toISOString() : value ?? null);
+
+/**
+ * Turns a query result into one page of list items.
+ * @param {FirebaseFirestore.QuerySnapshot} snapshot - Result of buildApplicationQuery.
+ * @param {Object} options - Output of parseListQuery.
+ * @returns {{applications: Object[], nextCursor: (string|null)}}
+ */
+function toApplicationPage(snapshot, { sortBy, limit }) {
+    const docs = snapshot.docs.slice(0, limit);
+    const hasMore = snapshot.docs.length > limit;
+
+    const applications = docs.map((doc) => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            userId: data.userId || null,
+            studentId: data.studentId || null,
+            firstName: data.firstName || null,
+            middleName: data.middleName || null,
+            lastName: data.lastName || null,
+            course: data.course || null,
+            yearLevel: data.yearLevel || null,
+            scholarshipType: data.scholarshipType || null,
+            programId: data.programId || null,
+            academicTerm: data.academicTerm || null,
+            status: data.status || null,
+            hasDuplicateDocuments: Boolean(data.hasDuplicateDocuments),
+            award: data.award ? { amount: data.award.amount, currency: data.award.currency } : null,
+            submittedAt: toIso(data.submittedAt),
+            updatedAt: toIso(data.updatedAt)
+        };
+    });
+
+    let nextCursor = null;
+    if (hasMore) {
+        const last = docs[docs.length - 1];
+        const value = last.get(sortBy);
+        nextCursor = encodeCursor(SORT_FIELDS[sortBy] === 'timestamp' ? value?.toMillis() ?? null : value ?? null, last.id);
+    }
+
+    return { applications, nextCursor };
+}
+
+module.exports = {
+    SORT_FIELDS,
+    buildSearchKeywords,
+    backfillSearchKeywords,
+    parseListQuery,
+    buildApplicationQuery,
+    toApplicationPage
+};
@@ -0,0 +1,204 @@
+// applicationStatistics.js
+
+const admin = require('./firebaseAdmin');
+const { APPLICATION_STATUSES, isFinalStatus } = require('./applicationStatus');
+const { RESUBMISSION_STATES } = require('./resubmissionRequests');
+const { createHttpError } = require('./httpError');
+
+// Dashboard numbers are cached briefly; every admin page load would otherwise scan the collection
+const CACHE_TTL_MS = (Number(process.env.STATS_CACHE_TTL_SECONDS) || 60) * 1000;
+const MAX_CACHE_ENTRIES = 50;
+// Daily trends are bucketed in the school's timezone, not UTC
+const STATS_TIMEZONE = process.env.STATS_TIMEZONE || 'Asia/Manila';
+const STUDENT_LOOKUP_CHUNK = 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const cache = new Map();
+
+const dayFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: STATS_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+});
+
+/**
+ * Reads the statistics filters from the query string.
+ * @param {Object} query - `req.query` ({ from, to, scholarshipType, programId }).
+ * @returns {Object} - Normalized filters.
+ * @throws {Error} - 400 HTTP error for invalid dates.
+ */
+function parseStatisticsQuery(query) {
+    const readDate = (value, name) => {
+        if (value === undefined) return null;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) throw createHttpError(400, `${name} must be a valid date.`);
+        return date;
+    };
+
+    const from = readDate(query.from, 'from');
+    const to = readDate(query.to, 'to');
+    if (from && to && from > to) throw createHttpError(400, "from must be before to.");
+
+    return {
+        from,
+        to,
+        scholarshipType: query.scholarshipType ? String(query.scholarshipType) : null,
+        programId: query.programId ? String(query.programId) : null
+    };
+}
+
+const increment = (counts, key) => {
+    const label = key === undefined || key === null || key === '' ? 'Unknown' : String(key);
+    counts[label] = (counts[label] || 0) + 1;
+};
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : null);
+
+/**
+ * Loads course and year level for each applicant from MongoDB.
+ * @returns {Promise<Map<string, Object>>} - studentNo → { course, yearLevel }.
+ */
+async function loadStudentAttributes(studentsCollection, userIds) {
+    const students = new Map();
+    for (let i = 0; i < userIds.length; i += STUDENT_LOOKUP_CHUNK) {
+        const chunk = userIds.slice(i, i + STUDENT_LOOKUP_CHUNK);
+        const records = await studentsCollection
+            .find({ studentNo: { $in: chunk } }, { projection: { studentNo: 1, course: 1, yearLevel: 1 } })
+            .toArray();
+        for (const record of records) students.set(record.studentNo, record);
+    }
+    return students;
+}
+
+/**
+ * Computes dashboard statistics. Applications are streamed with only the fields needed.
+ * NOTE: The submittedAt range combined with a program filter needs a composite index.
+ * @param {FirebaseFirestore.CollectionReference} collectionRef - scholarship_applications.
+ * @param {import('mongodb').Collection} studentsCollection - MongoDB students.
+ * @param {Object} filters - Output of parseStatisticsQuery.
+ * @returns {Promise<Object>}
+ */
+async function computeStatistics(collectionRef, studentsCollection, filters) {
+    let query = collectionRef;
+    if (filters.programId) query = query.where('programId', '==', filters.programId);
+    else if (filters.scholarshipType) query = query.where('scholarshipType', '==', filters.scholarshipType);
+    if (filters.from) query = query.where('submittedAt', '>=', admin.firestore.Timestamp.fromDate(filters.from));
+    if (filters.to) query = query.where('submittedAt', '<=', admin.firestore.Timestamp.fromDate(filters.to));
+    query = query.select('userId', 'status', 'scholarshipType', 'course', 'yearLevel', 'submittedAt', 'decidedAt', 'resubmissionRequests');
+
+    const applications = [];
+    for await (const doc of query.stream()) {
+        applications.push(doc.data());
+    }
+
+    const userIds = [...new Set(applications.map((app) => app.userId).filter(Boolean))];
+    const students = await loadStudentAttributes(studentsCollection, userIds);
+
+    const byStatus = Object.fromEntries(Object.values(APPLICATION_STATUSES).map((status) => [status, 0]));
+    const byScholarshipType = {};
+    const byCourse = {};
+    const byYearLevel = {};
+    const dailySubmissions = {};
+    const decisionHours = [];
+    const resubmissions = { awaitingUpload: 0, awaitingReview: 0 };
+
+    for (const application of applications) {
+        // MongoDB is the source of truth for course/year level; the form copy is a fallback
+        const student = students.get(application.userId);
+
+        increment(byStatus, application.status);
+        increment(byScholarshipType, application.scholarshipType);
+        increment(byCourse, student?.course ?? application.course);
+        increment(byYearLevel, student?.yearLevel ?? application.yearLevel);
+
+        const submittedAt = application.submittedAt?.toDate?.();
+        if (submittedAt) increment(dailySubmissions, dayFormatter.format(submittedAt));
+
+        const decidedAt = application.decidedAt?.toDate?.();
+        // Cancellations also get decidedAt, but a withdrawal is not a decision
+        const isDecision = application.status === APPLICATION_STATUSES.APPROVED || application.status === APPLICATION_STATUSES.REJECTED;
+        if (isDecision && submittedAt && decidedAt) decisionHours.push((decidedAt - submittedAt) / HOUR_MS);
+
+        // Requests left on closed applications are no longer waited on
+        if (!isFinalStatus(application.status)) {
+            const states = Object.values(application.resubmissionRequests || {}).map((request) => request?.state);
+            if (states.includes(RESUBMISSION_STATES.REQUESTED)) resubmissions.awaitingUpload++;
+            if (states.includes(RESUBMISSION_STATES.SUBMITTED)) resubmissions.awaitingReview++;
+        }
+    }
+
+    const approved = byStatus[APPLICATION_STATUSES.APPROVED] || 0;
+    const rejected = byStatus[APPLICATION_STATUSES.REJECTED] || 0;
+    const medianHours = median(decisionHours);
+
+    return {
+        filters: {
+            from: filters.from ? filters.from.toISOString() : null,
+            to: filters.to ? filters.to.toISOString() : null,
+            scholarshipType: filters.scholarshipType,
+            programId: filters.programId
+        },
+        totalApplications: applications.length,
+        byStatus,
+        byScholarshipType,
+        byCourse,
+        byYearLevel,
+        // Rates are over decided applications (Approved + Rejected); cancellations are excluded
+        decisions: {
+            decided: approved + rejected,
+            approvalRate: rate(approved, approved + rejected),
+            rejectionRate: rate(rejected, approved + rejected)
+        },
+        // Approved and Rejected applications decided after decidedAt was introduced; cancellations are excluded
+        timeToDecision: {
+            measured: decisionHours.length,
+            medianHours: medianHours === null ? null : Math.round(medianHours * 10) / 10,
+            medianDays: medianHours === null ? null : Math.round((medianHours / 24) * 10) / 10
+        },
+        // Applications with at least one document still to upload / with an upload still to review
+        awaitingResubmission: resubmissions.awaitingUpload,
+        resubmissionsAwaitingReview: resubmissions.awaitingReview,
+        dailySubmissions: Object.entries(dailySubmissions)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, count]) => ({ date, count })),
+        timezone: STATS_TIMEZONE,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Returns cached statistics for the same filters if they are fresh enough.
+ * @param {Function} compute - Called on a cache miss.
+ * @param {Object} filters - Output of parseStatisticsQuery.
+ * @returns {Promise<{statistics: Object, cached: boolean}>}
+ */
+async function getCachedStatistics(compute, filters) {
+    const key = JSON.stringify(filters);
+    const entry = cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+        return { statistics: await entry.promise, cached: true };
+    }
+
+    // The promise is cached so concurrent requests share one computation
+    const promise = compute(filters);
+    cache.set(key, { promise, expiresAt: Date.now() + CACHE_TTL_MS });
+    if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+
+    try {
+        return { statistics: await promise, cached: false };
+    } catch (error) {
+        cache.delete(key);
+        throw error;
+    }
+}
+
+module.exports = {
+    parseStatisticsQuery,
+    computeStatistics,
+    getCachedStatistics
+};
@@ -0,0 +1,76 @@
+// applicationStatus.js
+
+/**
+ * Every status a scholarship application can be in.
+ */
+const APPLICATION_STATUSES = Object.freeze({
+    SUBMITTED: 'Submitted',
+    UNDER_REVIEW: 'Under Review',
+    PENDING: 'Pending',
+    APPROVED: 'Approved',
+    REJECTED: 'Rejected',
+    CANCELLED: 'Cancelled'
+});
+
+const { SUBMITTED, UNDER_REVIEW, PENDING, APPROVED, REJECTED, CANCELLED } = APPLICATION_STATUSES;
+
+// Statuses an application can never leave
+const FINAL_STATUSES = Object.freeze([APPROVED, REJECTED, CANCELLED]);
+
+// --- Allowed Transitions (from → to) ---
+// Pending means the office is waiting on the student (e.g., a resubmission).
+const STATUS_TRANSITIONS = Object.freeze({
+    [SUBMITTED]: [UNDER_REVIEW, CANCELLED],
+    [UNDER_REVIEW]: [PENDING, APPROVED, REJECTED, CANCELLED],
+    [PENDING]: [UNDER_REVIEW, APPROVED, REJECTED, CANCELLED],
+    [APPROVED]: [],
+    [REJECTED]: [],
+    [CANCELLED]: []
+});
+
+/**
+ * Checks whether a value is a known application status.
+ * @param {string} status - The status to check.
+ * @returns {boolean}
+ */
+function isValidStatus(status) {
+    return Object.values(APPLICATION_STATUSES).includes(status);
+}
+
+/**
+ * Checks whether a status is final (no further transitions allowed).
+ * @param {string} status - The status to check.
+ * @returns {boolean}
+ */
+function isFinalStatus(status) {
+    return FINAL_STATUSES.includes(status);
+}
+
+/**
+ * Lists the statuses an application may move to from its current status.
+ * @param {string} status - The current status.
+ * @returns {string[]} - Empty for final or unknown statuses.
+ */
+function getNextStatuses(status) {
+    return [...(STATUS_TRANSITIONS[status] || [])];
+}
+
+/**
+ * Checks whether moving from one status to another is allowed.
+ * @param {string} fromStatus - The stored status.
+ * @param {string} toStatus - The requested status.
+ * @returns {boolean}
+ */
+function canTransition(fromStatus, toStatus) {
+    return getNextStatuses(fromStatus).includes(toStatus);
+}
+
+module.exports = {
+    APPLICATION_STATUSES,
+    FINAL_STATUSES,
+    STATUS_TRANSITIONS,
+    isValidStatus,
+    isFinalStatus,
+    getNextStatuses,
+    canTransition
+};
@@ -0,0 +1,114 @@
+// auditTrail.js
+
+const admin = require('./firebaseAdmin');
+const { ROLES } = require('./roles');
+
+// History entries live in a subcollection of each application:
+// scholarship_applications/{applicationId}/history/{entryId}
+const HISTORY_SUBCOLLECTION = 'history';
+
+const HISTORY_ENTRY_TYPES = Object.freeze({
+    STATUS_CHANGE: 'status_change',
+    DOCUMENT_VERIFICATION: 'document_verification',
+    ADMIN_COMMENT: 'admin_comment',
+    RESUBMISSION_REQUEST: 'resubmission_request',
+    RESUBMISSION_REVIEW: 'resubmission_review'
+});
+
+// Fields a student may see in the before/after values of each entry type.
+// Document verification entries carry internal reviewer notes and are hidden.
+const STUDENT_VISIBLE_FIELDS = Object.freeze({
+    [HISTORY_ENTRY_TYPES.STATUS_CHANGE]: ['status'],
+    [HISTORY_ENTRY_TYPES.ADMIN_COMMENT]: ['adminComment', 'pendingRemarks'],
+    [HISTORY_ENTRY_TYPES.RESUBMISSION_REQUEST]: ['documents'],
+    [HISTORY_ENTRY_TYPES.RESUBMISSION_REVIEW]: ['docType', 'decision', 'note', 'dueAt']
+});
+
+/**
+ * Builds the actor stored on a history entry from a decoded Firebase ID token.
+ * @param {Object} decodedToken - `req.user` as set by verifyToken.
+ * @returns {{uid: string, email: (string|null), role: (string|null)}}
+ */
+function buildActor(decodedToken) {
+    return {
+        uid: decodedToken.uid,
+        email: decodedToken.email || null,
+        role: decodedToken.role || null
+    };
+}
+
+/**
+ * Queues an immutable history entry in a Firestore transaction.
+ * `transaction.create` fails if the document exists, so entries are never overwritten.
+ * @param {FirebaseFirestore.Transaction} transaction - The running transaction.
+ * @param {FirebaseFirestore.DocumentReference} applicationRef - The application document.
+ * @param {Object} entry - The entry to record.
+ * @param {string} entry.type - One of HISTORY_ENTRY_TYPES.
+ * @param {Object} entry.actor - See buildActor.
+ * @param {Object} entry.before - Values before the change.
+ * @param {Object} entry.after - Values after the change.
+ */
+function recordHistoryEntry(transaction, applicationRef, { type, actor, before, after }) {
+    const entryRef = applicationRef.collection(HISTORY_SUBCOLLECTION).doc();
+
+    transaction.create(entryRef, {
+        type,
+        actor,
+        before: before || {},
+        after: after || {},
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * Reads the full history of an application, oldest first.
+ * @param {FirebaseFirestore.DocumentReference} applicationRef - The application document.
+ * @returns {Promise<Object[]>} - Entries with ISO timestamps.
+ */
+async function getApplicationHistory(applicationRef) {
+    const snapshot = await applicationRef.collection(HISTORY_SUBCOLLECTION).orderBy('createdAt', 'asc').get();
+
+    return snapshot.docs.map((doc) => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            ...data,
+            createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null
+        };
+    });
+}
+
+/**
+ * Reduces a history entry to what the student who owns the application may see:
+ * no reviewer identity, no internal verification notes.
+ * @param {Object} entry - An entry from getApplicationHistory.
+ * @returns {Object|null} - Null if the entry type is not shown to students.
+ */
+function toStudentSafeEntry(entry) {
+    const visibleFields = STUDENT_VISIBLE_FIELDS[entry.type];
+    if (!visibleFields) return null;
+
+    const pick = (values = {}) => visibleFields.reduce((picked, field) => {
+        if (field in values) picked[field] = values[field];
+        return picked;
+    }, {});
+
+    return {
+        id: entry.id,
+        type: entry.type,
+        // Students see their own actions as such; staff stay anonymous
+        changedBy: entry.actor?.role === ROLES.STUDENT ? 'You' : 'Scholarship Office',
+        before: pick(entry.before),
+        after: pick(entry.after),
+        createdAt: entry.createdAt
+    };
+}
+
+module.exports = {
+    HISTORY_SUBCOLLECTION,
+    HISTORY_ENTRY_TYPES,
+    buildActor,
+    recordHistoryEntry,
+    getApplicationHistory,
+    toStudentSafeEntry
+};
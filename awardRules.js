@@ -0,0 +1,154 @@
+// awardRules.js
+
+/**
+ * How a program's award is calculated. Rules are stored as `awardRules` on the
+ * scholarship program and applied when an application is Approved.
+ *
+ *   { type: 'percentageOfTuition', tiers: [{ minGwa: 1.0, maxGwa: 1.5, percent: 100 }, ...], maxAmount: 25000 }
+ *   { type: 'fixedAmount', amount: 5000 }
+ *
+ * GWA follows the 1.0 (highest) to 5.0 scale; bands are inclusive on both ends
+ * and the first matching tier wins. Tiers may also be used with fixedAmount
+ * (each tier then has an `amount`). `maxAmount` caps the award, and an award
+ * never exceeds the tuition fee when one is known.
+ */
+const AWARD_RULE_TYPES = Object.freeze({
+    PERCENTAGE_OF_TUITION: 'percentageOfTuition',
+    FIXED_AMOUNT: 'fixedAmount'
+});
+
+const DEFAULT_CURRENCY = 'PHP';
+const MIN_GWA = 1.0;
+const MAX_GWA = 5.0;
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Amounts are kept to the centavo
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Reads a number that may have been stored as a string by the portal form.
+ * @returns {number|null}
+ */
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = typeof value === 'number' ? value : Number(String(value).replace(/,/g, '').trim());
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Validates award rules sent by an admin.
+ * @param {Object} rules - The awardRules object.
+ * @returns {{errors: string[], rules: Object}} - The normalized rules to store.
+ */
+function validateAwardRules(rules) {
+    const errors = [];
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return { errors: ["awardRules must be an object."], rules: null };
+    }
+
+    const { type } = rules;
+    if (!Object.values(AWARD_RULE_TYPES).includes(type)) {
+        errors.push(`awardRules.type must be one of: ${Object.values(AWARD_RULE_TYPES).join(', ')}.`);
+        return { errors, rules: null };
+    }
+
+    const valueField = type === AWARD_RULE_TYPES.PERCENTAGE_OF_TUITION ? 'percent' : 'amount';
+    const isValidValue = (value) => isNonNegativeNumber(value) && (valueField !== 'percent' || value <= 100);
+    const valueHint = valueField === 'percent' ? 'a number from 0 to 100' : 'a non-negative number';
+    const normalized = { type, currency: rules.currency ? String(rules.currency).toUpperCase() : DEFAULT_CURRENCY };
+
+    if (rules.tiers !== undefined) {
+        if (!Array.isArray(rules.tiers) || rules.tiers.length === 0) {
+            errors.push("awardRules.tiers must be a non-empty array.");
+        } else {
+            normalized.tiers = rules.tiers.map((tier, index) => {
+                const minGwa = tier?.minGwa ?? MIN_GWA;
+                const maxGwa = tier?.maxGwa ?? MAX_GWA;
+                if (!isNonNegativeNumber(minGwa) || !isNonNegativeNumber(maxGwa) || minGwa > maxGwa) {
+                    errors.push(`awardRules.tiers[${index}] needs minGwa <= maxGwa.`);
+                }
+                if (!isValidValue(tier?.[valueField])) {
+                    errors.push(`awardRules.tiers[${index}].${valueField} must be ${valueHint}.`);
+                }
+                return { minGwa, maxGwa, [valueField]: tier?.[valueField] };
+            });
+        }
+    } else if (!isValidValue(rules[valueField])) {
+        errors.push(`awardRules.${valueField} must be ${valueHint} (or use tiers).`);
+    } else {
+        normalized[valueField] = rules[valueField];
+    }
+
+    if (rules.maxAmount !== undefined && rules.maxAmount !== null) {
+        if (!isNonNegativeNumber(rules.maxAmount)) errors.push("awardRules.maxAmount must be a non-negative number.");
+        else normalized.maxAmount = rules.maxAmount;
+    }
+
+    return { errors, rules: errors.length > 0 ? null : normalized };
+}
+
+/**
+ * Calculates an award from a program's rules.
+ * @param {Object} rules - Validated awardRules.
+ * @param {Object} inputs - { gwa, tuitionFee }; numbers or numeric strings.
+ * @returns {{errors: string[], award: Object|null}} - The award with its full breakdown.
+ */
+function calculateAward(rules, inputs = {}) {
+    const errors = [];
+    const gwa = toNumber(inputs.gwa);
+    const tuitionFee = toNumber(inputs.tuitionFee);
+    const isPercentage = rules.type === AWARD_RULE_TYPES.PERCENTAGE_OF_TUITION;
+
+    if (rules.tiers && gwa === null) errors.push("GWA is required to pick an award tier.");
+    if (isPercentage && (tuitionFee === null || tuitionFee < 0)) errors.push("A tuition fee is required for a percentage award.");
+    if (errors.length > 0) return { errors, award: null };
+
+    let matchedTier = null;
+    if (rules.tiers) {
+        matchedTier = rules.tiers.find((tier) => gwa >= tier.minGwa && gwa <= tier.maxGwa);
+        if (!matchedTier) {
+            return { errors: [`GWA ${gwa} is outside every award tier.`], award: null };
+        }
+    }
+
+    const source = matchedTier || rules;
+    const baseAmount = isPercentage
+        ? roundAmount(tuitionFee * source.percent / 100)
+        : roundAmount(source.amount);
+
+    // Caps are applied in order and each one is recorded in the breakdown
+    const capsApplied = [];
+    let amount = baseAmount;
+    if (rules.maxAmount !== undefined && amount > rules.maxAmount) {
+        capsApplied.push({ cap: 'maxAmount', limit: rules.maxAmount, reducedBy: roundAmount(amount - rules.maxAmount) });
+        amount = rules.maxAmount;
+    }
+    if (tuitionFee !== null && amount > tuitionFee) {
+        capsApplied.push({ cap: 'tuitionFee', limit: tuitionFee, reducedBy: roundAmount(amount - tuitionFee) });
+        amount = tuitionFee;
+    }
+
+    return {
+        errors: [],
+        award: {
+            amount: roundAmount(amount),
+            currency: rules.currency || DEFAULT_CURRENCY,
+            breakdown: {
+                ruleType: rules.type,
+                inputs: { gwa, tuitionFee },
+                matchedTier,
+                percent: isPercentage ? source.percent : null,
+                baseAmount,
+                capsApplied,
+                rules
+            }
+        }
+    };
+}
+
+module.exports = {
+    AWARD_RULE_TYPES,
+    validateAwardRules,
+    calculateAward
+};
@@ -0,0 +1,189 @@
+// documentCatalog.js
+
+const { ALLOWED_FILE_TYPES } = require('./uploadValidation');
+
+/**
+ * Every document type the portal knows about. `acceptedFormats` must be a
+ * subset of the upload allow-list (pdf, jpeg, png).
+ */
+const DOCUMENT_TYPES = Object.freeze({
+    studentId: {
+        label: 'Student ID',
+        description: 'Valid school ID (front and back in one file).',
+        acceptedFormats: ['jpeg', 'png', 'pdf']
+    },
+    grades: {
+        label: 'Grades',
+        description: 'Copy of grades for the previous semester, signed by the registrar.',
+        acceptedFormats: ['pdf', 'jpeg', 'png']
+    },
+    certificateOfRegistration: {
+        label: 'Certificate of Registration',
+        description: 'Certificate of Registration (COR) for the current semester.',
+        acceptedFormats: ['pdf', 'jpeg', 'png']
+    },
+    incomeCertificate: {
+        label: 'Proof of Income',
+        description: "Parents' or guardian's latest ITR, certificate of employment with salary, or certificate of indigency.",
+        acceptedFormats: ['pdf', 'jpeg', 'png']
+    },
+    barangayCertificate: {
+        label: 'Barangay Certificate',
+        description: 'Barangay certificate of residency issued within the last 6 months.',
+        acceptedFormats: ['pdf', 'jpeg', 'png']
+    },
+    birthCertificate: {
+        label: 'Birth Certificate',
+        description: 'PSA-issued birth certificate.',
+        acceptedFormats: ['pdf', 'jpeg', 'png']
+    },
+    athleticCertification: {
+        label: 'Athletic Certification',
+        description: 'Certification from the athletics office or team coach.',
+        acceptedFormats: ['pdf']
+    },
+    recommendationLetter: {
+        label: 'Recommendation Letter',
+        description: 'Letter of recommendation from a faculty member.',
+        acceptedFormats: ['pdf']
+    }
+});
+
+/**
+ * Required and optional documents per scholarshipType, for programs stored
+ * before requirements were kept on the program (`requiredDocuments`,
+ * `optionalDocuments`). Other scholarship types use DEFAULT_REQUIREMENTS.
+ */
+const DEFAULT_REQUIREMENTS = Object.freeze({
+    required: ['studentId', 'grades', 'certificateOfRegistration'],
+    optional: ['recommendationLetter']
+});
+
+const SCHOLARSHIP_REQUIREMENTS = Object.freeze({
+    'Academic Scholarship': {
+        required: ['studentId', 'grades', 'certificateOfRegistration'],
+        optional: ['recommendationLetter']
+    },
+    'Financial Assistance': {
+        required: ['studentId', 'grades', 'certificateOfRegistration', 'incomeCertificate', 'barangayCertificate'],
+        optional: ['birthCertificate']
+    },
+    'Athletic Scholarship': {
+        required: ['studentId', 'grades', 'certificateOfRegistration', 'athleticCertification'],
+        optional: ['recommendationLetter']
+    }
+});
+
+/**
+ * Returns the required/optional document lists for a scholarship type.
+ * @param {string} scholarshipType - The scholarship applied for.
+ * @param {Object} [program] - Its scholarship_programs document; its own lists win when set.
+ * @returns {{required: string[], optional: string[]}}
+ */
+function getRequirements(scholarshipType, program) {
+    if (Array.isArray(program?.requiredDocuments)) {
+        return { required: program.requiredDocuments, optional: program.optionalDocuments || [] };
+    }
+    // Own keys only: 'constructor' or '__proto__' must not resolve to Object's members
+    return Object.hasOwn(SCHOLARSHIP_REQUIREMENTS, scholarshipType) ? SCHOLARSHIP_REQUIREMENTS[scholarshipType] : DEFAULT_REQUIREMENTS;
+}
+
+/**
+ * Builds the checklist the portal renders for a scholarship type.
+ * @param {string} scholarshipType - The scholarship applied for.
+ * @param {Object} [program] - Its scholarship_programs document (see getRequirements).
+ * @returns {Object[]} - { docType, label, description, acceptedFormats, required }, required first.
+ */
+function getDocumentChecklist(scholarshipType, program) {
+    const { required, optional } = getRequirements(scholarshipType, program);
+
+    return [
+        ...required.map((docType) => ({ docType, ...DOCUMENT_TYPES[docType], required: true })),
+        ...optional.map((docType) => ({ docType, ...DOCUMENT_TYPES[docType], required: false }))
+    ];
+}
+
+/**
+ * Combines the checklist with what a student has uploaded so far.
+ * Only fields a student may see are returned (reviewer notes are left out).
+ * @param {string} scholarshipType - The scholarship applied for.
+ * @param {Object<string, Object>} documents - docType → stored document info.
+ * @param {Object} [program] - Its scholarship_programs document (see getRequirements).
+ * @returns {{items: Object[], complete: boolean}} - `complete` when every required document is uploaded.
+ */
+function getChecklistStatus(scholarshipType, documents = {}, program) {
+    const items = getDocumentChecklist(scholarshipType, program).map((item) => {
+        const document = documents[item.docType];
+        return {
+            ...item,
+            uploaded: Boolean(document),
+            verified: Boolean(document?.verified),
+            filename: document?.filename || null,
+            uploadedAt: document?.uploadedAt || null
+        };
+    });
+
+    return { items, complete: items.every((item) => !item.required || item.uploaded) };
+}
+
+/**
+ * Maps a detected MIME type back to its allow-list format name (e.g. 'pdf').
+ * @param {string} mimeType - MIME type detected from the file content.
+ * @returns {string|null}
+ */
+function formatFromMimeType(mimeType) {
+    const type = ALLOWED_FILE_TYPES.find((allowed) => allowed.mimeType === mimeType);
+    return type ? type.format : null;
+}
+
+/**
+ * Checks one document against the catalog before it is uploaded.
+ * @param {string} scholarshipType - The scholarship applied for.
+ * @param {string} docType - The document key.
+ * @param {string} [mimeType] - Detected MIME type, if already known.
+ * @param {Object} [program] - Its scholarship_programs document (see getRequirements).
+ * @returns {string|null} - A problem description, or null if the document is acceptable.
+ */
+function checkDocument(scholarshipType, docType, mimeType, program) {
+    const { required, optional } = getRequirements(scholarshipType, program);
+    if (!required.includes(docType) && !optional.includes(docType)) {
+        return `${docType} is not part of the ${scholarshipType || 'default'} checklist.`;
+    }
+
+    const format = mimeType ? formatFromMimeType(mimeType) : null;
+    if (mimeType && !DOCUMENT_TYPES[docType].acceptedFormats.includes(format)) {
+        return `${DOCUMENT_TYPES[docType].label} must be one of: ${DOCUMENT_TYPES[docType].acceptedFormats.map((f) => f.toUpperCase()).join(', ')}.`;
+    }
+    return null;
+}
+
+/**
+ * Checks a full submission against the catalog.
+ * @param {string} scholarshipType - The scholarship applied for.
+ * @param {Object<string, string>} submitted - docType → detected MIME type of every file provided.
+ * @param {Object} [program] - Its scholarship_programs document (see getRequirements).
+ * @returns {{complete: boolean, missing: Object[], problems: Object[]}} - Missing required
+ *   documents (with label/description) and documents that are unknown or in the wrong format.
+ */
+function checkSubmission(scholarshipType, submitted, program) {
+    const { required } = getRequirements(scholarshipType, program);
+
+    const missing = required
+        .filter((docType) => !submitted[docType])
+        .map((docType) => ({ docType, label: DOCUMENT_TYPES[docType].label, description: DOCUMENT_TYPES[docType].description }));
+
+    const problems = Object.entries(submitted)
+        .map(([docType, mimeType]) => ({ docType, message: checkDocument(scholarshipType, docType, mimeType, program) }))
+        .filter((problem) => problem.message);
+
+    return { complete: missing.length === 0 && problems.length === 0, missing, problems };
+}
+
+module.exports = {
+    DOCUMENT_TYPES,
+    getRequirements,
+    getDocumentChecklist,
+    getChecklistStatus,
+    checkDocument,
+    checkSubmission
+};
@@ -0,0 +1,114 @@
+// documentFingerprints.js
+
+const admin = require('./firebaseAdmin');
+
+/**
+ * Content hashes (SHA-256) of uploaded documents, used to spot the same file
+ * on different students' applications (shared or recycled grade slips).
+ *
+ * One `document_fingerprints` document is kept per upload. When a new upload
+ * matches another student's, both applications get a `duplicateDocuments`
+ * entry and `hasDuplicateDocuments: true` so reviewers can filter for them.
+ * Matches are only flagged; a reviewer decides what they mean.
+ */
+const FINGERPRINTS_COLLECTION = 'document_fingerprints';
+
+/**
+ * Reads the fingerprints matching the given hashes inside a transaction.
+ * Must run before the transaction's writes.
+ * @param {FirebaseFirestore.Transaction} transaction - The running transaction.
+ * @param {Object} upload
+ * @param {string} upload.userId - The uploading student; their own earlier uploads are not duplicates.
+ * @param {Object<string, string>} upload.hashes - docType → contentHash.
+ * @returns {Promise<Object[]>} - [{ docType, contentHash, matchedApplicationId, matchedDocType }]
+ */
+async function findDuplicateDocuments(transaction, { userId, hashes }) {
+    const firestoreDb = admin.firestore();
+    const duplicates = [];
+
+    for (const [docType, contentHash] of Object.entries(hashes)) {
+        if (!contentHash) continue;
+        const snapshot = await transaction.get(
+            firestoreDb.collection(FINGERPRINTS_COLLECTION).where('contentHash', '==', contentHash)
+        );
+        for (const doc of snapshot.docs) {
+            if (doc.get('userId') === userId) continue;
+            duplicates.push({ docType, contentHash, matchedApplicationId: doc.get('applicationId'), matchedDocType: doc.get('docType') });
+        }
+    }
+    if (duplicates.length === 0) return duplicates;
+
+    // Only flag applications that still exist
+    const applicationIds = [...new Set(duplicates.map((duplicate) => duplicate.matchedApplicationId))];
+    const snapshots = await transaction.getAll(
+        ...applicationIds.map((id) => firestoreDb.collection('scholarship_applications').doc(id))
+    );
+    const existing = new Set(snapshots.filter((snapshot) => snapshot.exists).map((snapshot) => snapshot.id));
+    return duplicates.filter((duplicate) => existing.has(duplicate.matchedApplicationId));
+}
+
+/**
+ * Queues the fingerprint writes for an upload and flags the applications involved.
+ * @param {FirebaseFirestore.Transaction} transaction - The running transaction.
+ * @param {Object} upload
+ * @param {string} upload.applicationId - The application the files belong to.
+ * @param {string} upload.userId - The uploading student.
+ * @param {Object<string, string>} upload.hashes - docType → contentHash.
+ * @param {Object[]} upload.duplicates - From findDuplicateDocuments.
+ * @param {boolean} [upload.flagOwnApplication=true] - False when the caller writes the
+ *   new application itself (use buildDuplicateFlags for its fields instead).
+ */
+function recordDocumentFingerprints(transaction, { applicationId, userId, hashes, duplicates, flagOwnApplication = true }) {
+    const firestoreDb = admin.firestore();
+    const now = admin.firestore.Timestamp.now();
+
+    for (const [docType, contentHash] of Object.entries(hashes)) {
+        if (!contentHash) continue;
+        transaction.set(firestoreDb.collection(FINGERPRINTS_COLLECTION).doc(`${applicationId}_${docType}_${contentHash.slice(0, 16)}`), {
+            contentHash, applicationId, userId, docType, createdAt: now
+        });
+    }
+
+    if (duplicates.length === 0) return;
+
+    const applications = firestoreDb.collection('scholarship_applications');
+    if (flagOwnApplication) {
+        transaction.update(applications.doc(applicationId), buildDuplicateFlags(duplicates, now));
+    }
+    // The earlier application learns about the match too; only application IDs are shared, never names
+    for (const duplicate of duplicates) {
+        transaction.update(applications.doc(duplicate.matchedApplicationId), {
+            hasDuplicateDocuments: true,
+            duplicateDocuments: admin.firestore.FieldValue.arrayUnion({
+                docType: duplicate.matchedDocType,
+                contentHash: duplicate.contentHash,
+                matchedApplicationId: applicationId,
+                matchedDocType: duplicate.docType,
+                detectedAt: now
+            })
+        });
+    }
+}
+
+/**
+ * Fields that flag an application's own duplicates.
+ * @param {Object[]} duplicates - From findDuplicateDocuments.
+ * @param {FirebaseFirestore.Timestamp} [detectedAt]
+ * @returns {Object} - {} when there are no duplicates.
+ */
+function buildDuplicateFlags(duplicates, detectedAt = admin.firestore.Timestamp.now()) {
+    if (duplicates.length === 0) return {};
+    return {
+        hasDuplicateDocuments: true,
+        duplicateDocuments: admin.firestore.FieldValue.arrayUnion(
+            ...duplicates.map((duplicate) => ({ ...duplicate, detectedAt }))
+        )
+    };
+}
+
+module.exports = {
+    FINGERPRINTS_COLLECTION,
+    findDuplicateDocuments,
+    recordDocumentFingerprints,
+    buildDuplicateFlags
+};
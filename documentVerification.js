@@ -0,0 +1,108 @@
+// documentVerification.js
+
+const admin = require('./firebaseAdmin');
+const { DOCUMENT_TYPES, getRequirements } = require('./documentCatalog');
+
+/**
+ * Reviewer verdicts on individual documents in applications_files/{applicationId}.
+ * The current verdict lives on the document itself (`verified`, `adminNote`,
+ * `verification`); every verdict ever given is appended to
+ * `verificationHistory.{docType}` so earlier decisions are never lost.
+ */
+const VERIFICATION_VERDICTS = Object.freeze({
+    VERIFIED: 'verified',
+    REJECTED: 'rejected'
+});
+
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Builds a verdict record.
+ * @param {string} verdict - One of VERIFICATION_VERDICTS.
+ * @param {string} [note] - Reviewer note (required when rejecting, see validateVerdict).
+ * @param {Object} actor - See auditTrail.buildActor.
+ * @returns {Object}
+ */
+function buildVerification(verdict, note, actor) {
+    return {
+        verdict,
+        note: note ? String(note).trim().slice(0, MAX_NOTE_LENGTH) : null,
+        reviewedBy: actor,
+        reviewedAt: admin.firestore.Timestamp.now()
+    };
+}
+
+/**
+ * Checks a verdict sent by a reviewer.
+ * @returns {string|null} - A problem description, or null if valid.
+ */
+function validateVerdict(verdict, note) {
+    if (!Object.values(VERIFICATION_VERDICTS).includes(verdict)) {
+        return `verdict must be one of: ${Object.values(VERIFICATION_VERDICTS).join(', ')}.`;
+    }
+    if (verdict === VERIFICATION_VERDICTS.REJECTED && !(note && String(note).trim())) {
+        return "A note is required when rejecting a document.";
+    }
+    return null;
+}
+
+/**
+ * Queues the update of one document's verdict in a Firestore transaction.
+ * @param {FirebaseFirestore.Transaction} transaction - The running transaction.
+ * @param {FirebaseFirestore.DocumentReference} filesRef - applications_files/{applicationId}.
+ * @param {string} docType - The document key.
+ * @param {Object} verification - From buildVerification.
+ */
+function applyVerification(transaction, filesRef, docType, verification) {
+    transaction.update(filesRef, {
+        [`documents.${docType}.verified`]: verification.verdict === VERIFICATION_VERDICTS.VERIFIED,
+        [`documents.${docType}.adminNote`]: verification.note,
+        [`documents.${docType}.verification`]: verification,
+        [`verificationHistory.${docType}`]: admin.firestore.FieldValue.arrayUnion(verification),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * Queues clearing the verified flag of documents flagged for resubmission, so an
+ * earlier verdict does not count towards approval while a new upload is due.
+ * The last verdict stays in `verification` and `verificationHistory`.
+ * @param {FirebaseFirestore.Transaction} transaction - The running transaction.
+ * @param {FirebaseFirestore.DocumentReference} filesRef - applications_files/{applicationId}.
+ * @param {string[]} docTypes - Flagged documents that are on file.
+ */
+function markDocumentsUnverified(transaction, filesRef, docTypes) {
+    if (docTypes.length === 0) return;
+    transaction.update(filesRef, {
+        ...Object.fromEntries(docTypes.map((docType) => [`documents.${docType}.verified`, false])),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * Lists required documents that are missing or not verified.
+ * @param {string} scholarshipType - The scholarship applied for.
+ * @param {Object<string, Object>} documents - applications_files `documents` map.
+ * @param {Object} [program] - The scholarship_programs document (see documentCatalog.getRequirements).
+ * @returns {Object[]} - [{ docType, label, reason: 'missing' | 'rejected' | 'unverified' }].
+ */
+function getUnverifiedRequiredDocuments(scholarshipType, documents = {}, program) {
+    return getRequirements(scholarshipType, program).required
+        .filter((docType) => !documents[docType]?.verified)
+        .map((docType) => {
+            const document = documents[docType];
+            let reason = 'unverified';
+            if (!document) reason = 'missing';
+            else if (document.verification?.verdict === VERIFICATION_VERDICTS.REJECTED) reason = 'rejected';
+            return { docType, label: DOCUMENT_TYPES[docType]?.label || docType, reason };
+        });
+}
+
+module.exports = {
+    VERIFICATION_VERDICTS,
+    buildVerification,
+    validateVerdict,
+    applyVerification,
+    markDocumentsUnverified,
+    getUnverifiedRequiredDocuments
+};
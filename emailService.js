@@ -1,179 +1,244 @@
+const crypto = require('crypto');
 const admin = require('./firebaseAdmin'); 
-const { MailerSend, EmailParams, Sender, Recipient } = require('mailersend');
+const { createTransportFromEnv } = require('./emailTransports');
+const { renderTemplate } = require('./emailTemplates');
 
-// --- 🎯 MAILERSEND SETUP ---
-// Initialize MailerSend client using the environment variable
-// The environment variable MUST be named MAILERSEND_API_KEY.
-const MAILERSEND_API_KEY = process.env.MAILERSEND_API_KEY;
+// --- 🎯 EMAIL TRANSPORT SETUP ---
+// EMAIL_TRANSPORT selects the provider: mailersend (default), smtp, resend or file.
+// EMAIL_FALLBACK_TRANSPORT (optional) is tried when the primary provider fails.
+// The "file" transport writes every message to EMAIL_FILE_DIR instead of sending it.
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'mailersend';
+const EMAIL_FALLBACK_TRANSPORT = process.env.EMAIL_FALLBACK_TRANSPORT || null;
 
-// ⚠️ IMPORTANT: You need to install the MailerSend SDK: npm install mailersend
-const mailersend = MAILERSEND_API_KEY ? new MailerSend({
-    apiKey: MAILERSEND_API_KEY,
-}) : null;
+const primaryTransport = createTransportFromEnv(EMAIL_TRANSPORT);
+const fallbackTransport = EMAIL_FALLBACK_TRANSPORT ? createTransportFromEnv(EMAIL_FALLBACK_TRANSPORT) : null;
 
 // SENDER_EMAIL must be set to a verified email (e.g., loaiskoportal@alabangscholarship.info)
-const SENDER_EMAIL = process.env.SENDER_EMAIL; 
+// The file transport never sends, so it works without one.
+const SENDER_EMAIL = process.env.SENDER_EMAIL || (EMAIL_TRANSPORT === 'file' ? 'loaiskoportal@localhost' : undefined);
+const SENDER_NAME = "LOAISKOPORTAL Scholarship";
 
 // Validation Check
-if (!MAILERSEND_API_KEY) {
-    console.error("❌ MAILERSEND_API_KEY is missing from environment variables. Email sending will fail.");
-}
 if (!SENDER_EMAIL) {
     console.error("❌ SENDER_EMAIL is missing from environment variables. Email sending will fail.");
 }
-if (!mailersend) {
-    console.warn("⚠️ MailerSend client is not initialized due to missing API key.");
+if (!primaryTransport) {
+    console.warn(`⚠️ Primary email transport "${EMAIL_TRANSPORT}" is not initialized.${fallbackTransport ? ' Only the fallback will be used.' : ''}`);
 }
 
 
 /**
- * Generates a random 6-digit numeric verification code.
+ * Sends one message through the primary transport, falling back to the
+ * secondary transport if the primary is missing or fails.
+ * @param {Object} message - { to: string[], subject, html, text }.
+ * @returns {Promise<string>} - Name of the transport that delivered the message.
+ * @throws {Error} - If no transport could deliver the message.
+ */
+async function sendEmail(message) {
+    if (!SENDER_EMAIL) {
+        throw new Error("SENDER_EMAIL is not configured. Cannot send email.");
+    }
+
+    const transports = [primaryTransport, fallbackTransport].filter(Boolean);
+    if (transports.length === 0) {
+        throw new Error("No email transport is configured. Cannot send email.");
+    }
+
+    const fullMessage = { from: { email: SENDER_EMAIL, name: SENDER_NAME }, ...message };
+    let lastError;
+
+    for (const transport of transports) {
+        try {
+            await transport.send(fullMessage);
+            return transport.name;
+        } catch (error) {
+            lastError = error;
+            // Log the error response data if available for better debugging
+            console.error(`❌ Email transport "${transport.name}" failed:`, error.response?.data || error.message || error);
+        }
+    }
+
+    throw lastError;
+}
+
+
+/**
+ * Generates a random 6-digit numeric verification code (cryptographically secure).
  * @returns {string} - The 6-digit code.
  */
 function generateVerificationCode() {
     // Generate a number between 100000 and 999999 (inclusive)
-    return Math.floor(100000 + Math.random() * 900000).toString();
+    return crypto.randomInt(100000, 1000000).toString();
 }
 
 
 /**
- * Sends a custom 6-digit verification code via MailerSend.
+ * Sends a custom 6-digit verification code.
  * @param {string} recipientEmail - The email address to send the code to.
  * @param {string} code - The 6-digit verification code to include in the email.
+ * @param {string} [locale] - 'en' or 'fil' (the student's preferredLanguage).
+ * @param {Object} [options]
+ * @param {string} [options.verificationUrl] - Single-use link that verifies without typing the code.
+ * @param {number} [options.expiresInMinutes] - How long the code and link stay valid.
  * @returns {Promise<boolean>} - True if the email was successfully sent.
  */
-async function sendCustomVerificationCodeEmail(recipientEmail, code) {
-    if (!mailersend || !SENDER_EMAIL) {
-        console.error("MailerSend service not ready. Cannot send verification email.");
+async function sendCustomVerificationCodeEmail(recipientEmail, code, locale, { verificationUrl, expiresInMinutes } = {}) {
+    try {
+        const transportName = await sendEmail({
+            to: [recipientEmail],
+            ...renderTemplate('verificationCode', { code, verificationUrl, expiresInMinutes }, locale)
+        });
+
+        console.log(`✅ Custom verification code sent via ${transportName} to ${recipientEmail}.`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Verification email to ${recipientEmail} could not be sent:`, error.message || error);
         return false;
     }
-    
-    // 1. Define Sender and Recipient
-    const sender = new Sender(SENDER_EMAIL, "LOAISKOPORTAL Scholarship");
-    const recipients = [new Recipient(recipientEmail)];
-
-    // 2. Define HTML content
-    const htmlContent = `
-        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; padding: 20px; border: 1px solid #e6c200; border-radius: 8px;">
-            <h1 style="color: #003366;">Account Verification Code</h1>
-            <p>Thank you for registering. Please use the code below to verify your account in the portal:</p>
-            <div style="background-color: #f0f4f8; padding: 20px; text-align: center; border-radius: 8px; margin: 25px 0;">
-                <h2 style="color: #e6c200; margin: 0; font-size: 32px; letter-spacing: 5px;">${code}</h2>
-            </div>
-            <p>This code is time-sensitive. Please enter it on the verification screen to proceed.</p>
-            <p style="font-size: 0.8em; color: #777;">If you did not initiate this registration, please ignore this email.</p>
-        </div>
-    `;
-
-    // 3. Build Email Parameters
-    const emailParams = new EmailParams()
-        .setFrom(sender)
-        .setTo(recipients)
-        .setSubject("Verification Code for Your Account")
-        .setHtml(htmlContent)
-        .setText(`Your verification code is: ${code}. This code is time-sensitive.`);
+}
 
+
+/**
+ * Sends a time-limited password reset code.
+ * @param {string} recipientEmail - The email address of the account.
+ * @param {string} code - The 6-digit reset code.
+ * @param {number} expiresInMinutes - How long the code stays valid.
+ * @param {string} [locale] - 'en' or 'fil' (the student's preferredLanguage).
+ * @returns {Promise<boolean>} - True if the email was successfully sent.
+ */
+async function sendPasswordResetCodeEmail(recipientEmail, code, expiresInMinutes, locale) {
     try {
-        // 4. Send the email
-        await mailersend.email.send(emailParams);
+        const transportName = await sendEmail({
+            to: [recipientEmail],
+            ...renderTemplate('passwordReset', { code, expiresInMinutes }, locale)
+        });
 
-        console.log(`✅ Custom verification code sent via MailerSend to ${recipientEmail}.`);
+        console.log(`✅ Password reset code sent via ${transportName} to ${recipientEmail}.`);
         return true;
     } catch (error) {
-        // Log the error response data if available for better debugging
-        console.error("❌ MailerSend SDK Network/Sending Error:", error.response?.data || error);
+        console.error(`❌ Password reset email to ${recipientEmail} could not be sent:`, error.message || error);
         return false;
     }
 }
 
 
 /**
- * Sends an email confirming the scholarship application status using MailerSend.
- * @param {string} recipientEmail - The student's email.
- * @param {string} studentName - The student's name.
- * @param {string} scholarshipType - The type of scholarship applied for.
- * @param {string} status - The application status (Approved, Rejected, Pending, Cancelled).
+ * Sends the code that confirms a new account email address.
+ * @param {string} recipientEmail - The new address (the one being confirmed).
+ * @param {string} code - The 6-digit confirmation code.
+ * @param {number} expiresInMinutes - How long the code stays valid.
+ * @param {string} [locale] - 'en' or 'fil' (the student's preferredLanguage).
  * @returns {Promise<boolean>} - True if the email was successfully sent.
  */
-async function sendApplicationStatusEmail(recipientEmail, studentName, scholarshipType, status) {
-    if (!mailersend || !SENDER_EMAIL) {
-        console.error("MailerSend service not ready. Cannot send application status email.");
+async function sendEmailChangeCodeEmail(recipientEmail, code, expiresInMinutes, locale) {
+    try {
+        const transportName = await sendEmail({
+            to: [recipientEmail],
+            ...renderTemplate('emailChangeCode', { code, newEmail: recipientEmail, expiresInMinutes }, locale)
+        });
+
+        console.log(`✅ Email change code sent via ${transportName} to ${recipientEmail}.`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Email change code to ${recipientEmail} could not be sent:`, error.message || error);
         return false;
     }
+}
+
+
+/**
+ * Tells the previous address that the account email was changed.
+ * @param {string} previousEmail - The address the account used before.
+ * @param {string} newEmail - The address it uses now.
+ * @param {string} [locale] - 'en' or 'fil' (the student's preferredLanguage).
+ * @returns {Promise<boolean>} - True if the email was successfully sent.
+ */
+async function sendEmailChangedNotice(previousEmail, newEmail, locale) {
+    try {
+        const transportName = await sendEmail({
+            to: [previousEmail],
+            ...renderTemplate('emailChanged', { newEmail }, locale)
+        });
 
-    const lowerStatus = status.toLowerCase();
-    let subject, primaryColor, headerText, bodyContent;
-
-    // --- Status Logic ---
-    switch (lowerStatus) {
-        case 'approved':
-            subject = `🎉 Scholarship Application APPROVED!`;
-            primaryColor = '#4CAF50';
-            headerText = 'Congratulations!';
-            bodyContent = `<p>We are pleased to inform you that your application for the <b>${scholarshipType}</b> has been <strong>APPROVED!</strong></p>
-                            <p>You can now log in to the portal to view the details of your award, including the final calculated discount amount.</p>`;
-            break;
-        case 'rejected':
-            subject = `❌ Update on Your Scholarship Application`;
-            primaryColor = '#F44336';
-            headerText = 'Application Update';
-            bodyContent = `<p>We regret to inform you that your application for the <b>${scholarshipType}</b> has been <strong>REJECTED</strong> at this time.</p>
-                            <p>You may check the portal for further details or criteria, or contact the administration for clarification.</p>`;
-            break;
-        case 'cancelled':
-            subject = `⚠️ Application Status Update: ${status}`;
-            primaryColor = '#FF9800'; 
-            headerText = 'Application Status Change';
-            bodyContent = `<p>This is to confirm that the status of your application for the <b>${scholarshipType}</b> has been updated to <strong>CANCELLED</strong>.</p>`;
-            break;
-        case 'pending':
-        default:
-            subject = `ℹ️ Application Status Update: ${status}`;
-            primaryColor = '#2196F3'; 
-            headerText = 'Application Status Change';
-            bodyContent = `<p>This is to confirm that the status of your application for the <b>${scholarshipType}</b> has been updated to <strong>PENDING</strong>.</p>`;
-            break;
+        console.log(`✅ Email change notice sent via ${transportName} to ${previousEmail}.`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Email change notice to ${previousEmail} could not be sent:`, error.message || error);
+        return false;
     }
-    // --- End Status Logic ---
-
-    const htmlTemplate = `
-        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
-            <h1 style="color: ${primaryColor};">${headerText}</h1>
-            <p>Dear ${studentName},</p>
-            ${bodyContent}
-            <hr style="border: 0; border-top: 1px solid #eee; margin: 20px 0;">
-            <p style="font-size: 0.8em; color: #777;">This is an automated notification. Please do not reply to this email.</p>
-        </div>
-    `;
-    
-    // 1. Define Sender and Recipient
-    const sender = new Sender(SENDER_EMAIL, "LOAISKOPORTAL Scholarship");
-    const recipients = [new Recipient(recipientEmail)];
-
-    // 2. Build Email Parameters
-    const emailParams = new EmailParams()
-        .setFrom(sender)
-        .setTo(recipients)
-        .setSubject(subject)
-        .setHtml(htmlTemplate)
-        .setText(`Dear ${studentName}, your application status for the ${scholarshipType} is now ${status}.`); // Plain text fallback
+}
+
+
+/**
+ * Sends an email confirming the scholarship application status.
+ * Unlike sendApplicationStatusEmail, failures are thrown so callers (e.g., the
+ * notification outbox) can record the reason and retry.
+ * @param {string} recipientEmail - The student's email.
+ * @param {string} studentName - The student's name.
+ * @param {string} scholarshipType - The type of scholarship applied for.
+ * @param {string} status - The application status (Approved, Rejected, Pending, Cancelled).
+ * @param {string} [locale] - 'en' or 'fil' (the student's preferredLanguage).
+ * @returns {Promise<void>}
+ * @throws {Error} - If the email service is not configured or the send fails.
+ */
+async function deliverApplicationStatusEmail(recipientEmail, studentName, scholarshipType, status, locale) {
+    // Send the email (throws if every transport fails)
+    const transportName = await sendEmail({
+        to: [recipientEmail],
+        ...renderTemplate('applicationStatus', { studentName, scholarshipType, status }, locale)
+    });
+
+    console.log(`✉️ Status email (${status}) sent via ${transportName} to ${recipientEmail}.`);
+}
 
+
+/**
+ * Sends a request to re-upload documents. Failures are thrown (outbox delivery).
+ * @param {string} recipientEmail - The student's email.
+ * @param {string} studentName - The student's name.
+ * @param {string} scholarshipType - The type of scholarship applied for.
+ * @param {Object[]} documents - { label, note, dueAt } for each flagged document.
+ * @param {string} [locale] - 'en' or 'fil' (the student's preferredLanguage).
+ * @returns {Promise<void>}
+ * @throws {Error} - If the email service is not configured or the send fails.
+ */
+async function deliverResubmissionRequestEmail(recipientEmail, studentName, scholarshipType, documents, locale) {
+    const transportName = await sendEmail({
+        to: [recipientEmail],
+        ...renderTemplate('resubmissionRequest', { studentName, scholarshipType, documents }, locale)
+    });
+
+    console.log(`✉️ Resubmission request (${documents.length} document(s)) sent via ${transportName} to ${recipientEmail}.`);
+}
+
+/**
+ * Sends an email confirming the scholarship application status.
+ * @param {string} recipientEmail - The student's email.
+ * @param {string} studentName - The student's name.
+ * @param {string} scholarshipType - The type of scholarship applied for.
+ * @param {string} status - The application status (Approved, Rejected, Pending, Cancelled).
+ * @param {string} [locale] - 'en' or 'fil' (the student's preferredLanguage).
+ * @returns {Promise<boolean>} - True if the email was successfully sent.
+ */
+async function sendApplicationStatusEmail(recipientEmail, studentName, scholarshipType, status, locale) {
     try {
-        // 3. Send the email
-        await mailersend.email.send(emailParams);
-        
-        console.log(`✉️ Status email (${status}) sent via MailerSend to ${recipientEmail}.`);
+        await deliverApplicationStatusEmail(recipientEmail, studentName, scholarshipType, status, locale);
         return true;
-        
     } catch (error) {
         // Log the error response data if available for better debugging
-        console.error(`❌ STATUS EMAIL SEND FAILURE via MailerSend to ${recipientEmail}:`, error.response?.data || error);
+        console.error(`❌ STATUS EMAIL SEND FAILURE to ${recipientEmail}:`, error.response?.data || error.message || error);
         return false;
     }
 }
 
 module.exports = {
+    sendEmail,
     generateVerificationCode,
     sendCustomVerificationCodeEmail,
+    sendPasswordResetCodeEmail,
+    sendEmailChangeCodeEmail,
+    sendEmailChangedNotice,
+    deliverApplicationStatusEmail,
+    deliverResubmissionRequestEmail,
     sendApplicationStatusEmail 
 };
\ No newline at end of file
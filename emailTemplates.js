@@ -0,0 +1,496 @@
+// emailTemplates.js
+
+/**
+ * Named, bilingual (English / Filipino) email templates.
+ * Every variable is HTML-escaped before it reaches the markup; each template
+ * only provides its body, and the shared layout adds branding and the footer.
+ * Plain-text versions are generated from the rendered HTML.
+ */
+
+const SUPPORTED_LOCALES = Object.freeze(['en', 'fil']);
+const DEFAULT_LOCALE = 'en';
+
+const BRAND = Object.freeze({
+    name: 'LOAISKOPORTAL Scholarship',
+    primaryColor: '#003366',
+    accentColor: '#e6c200'
+});
+
+// --- Helpers ---
+
+/**
+ * Escapes a value for safe use in HTML text and attribute values.
+ * @param {*} value - Any value; null/undefined become an empty string.
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Picks a supported locale, falling back to English.
+ * @param {string} [locale] - e.g. a student's `preferredLanguage`.
+ * @returns {string}
+ */
+function resolveLocale(locale) {
+    return SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Converts rendered template HTML into a readable plain-text version.
+ * @param {string} html - The full HTML email.
+ * @returns {string}
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(br|hr)\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h1|h2|h3|li|tr)>/gi, '\n')
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, '$2 ($1)')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/[ \t]+/g, ' ')
+        .split('\n')
+        .map((line) => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// --- Shared Layout ---
+
+const LAYOUT_STRINGS = {
+    en: {
+        footer: 'This is an automated notification. Please do not reply to this email.'
+    },
+    fil: {
+        footer: 'Ito ay awtomatikong abiso. Mangyaring huwag sumagot sa email na ito.'
+    }
+};
+
+/**
+ * Wraps a template body in the shared branded layout.
+ * @param {Object} parts
+ * @param {string} parts.heading - Already-escaped heading text.
+ * @param {string} parts.bodyHtml - Already-escaped body markup.
+ * @param {string} parts.headingColor - Heading color.
+ * @param {string} locale - Resolved locale.
+ * @returns {string}
+ */
+function renderLayout({ heading, bodyHtml, headingColor }, locale) {
+    return `
+        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; padding: 20px; border: 1px solid ${BRAND.accentColor}; border-radius: 8px;">
+            <p style="margin: 0 0 10px; font-size: 0.9em; font-weight: bold; color: ${BRAND.primaryColor};">${escapeHtml(BRAND.name)}</p>
+            <h1 style="color: ${headingColor};">${heading}</h1>
+            ${bodyHtml}
+            <hr style="border: 0; border-top: 1px solid #eee; margin: 20px 0;">
+            <p style="font-size: 0.8em; color: #777;">${escapeHtml(LAYOUT_STRINGS[locale].footer)}</p>
+        </div>
+    `;
+}
+
+/**
+ * Renders a code in the large highlighted box used by verification and reset emails.
+ */
+function renderCodeBox(code) {
+    return `
+            <div style="background-color: #f0f4f8; padding: 20px; text-align: center; border-radius: 8px; margin: 25px 0;">
+                <h2 style="color: ${BRAND.accentColor}; margin: 0; font-size: 32px; letter-spacing: 5px;">${escapeHtml(code)}</h2>
+            </div>`;
+}
+
+// --- Templates ---
+// Each template: { description, sampleData, render(vars, locale) → { subject, heading, bodyHtml, headingColor } }
+// `vars` are raw values; templates must escape them.
+
+const STATUS_STYLES = {
+    approved: { color: '#4CAF50', icon: '🎉' },
+    rejected: { color: '#F44336', icon: '❌' },
+    cancelled: { color: '#FF9800', icon: '⚠️' },
+    default: { color: '#2196F3', icon: 'ℹ️' }
+};
+
+const STATUS_LABELS = {
+    en: {
+        Submitted: 'SUBMITTED',
+        'Under Review': 'UNDER REVIEW',
+        Pending: 'PENDING',
+        Approved: 'APPROVED',
+        Rejected: 'REJECTED',
+        Cancelled: 'CANCELLED'
+    },
+    fil: {
+        Submitted: 'NAISUMITE',
+        'Under Review': 'SINUSURI',
+        Pending: 'NAKABINBIN',
+        Approved: 'APRUBADO',
+        Rejected: 'HINDI NAAPRUBAHAN',
+        Cancelled: 'KINANSELA'
+    }
+};
+
+const DATE_LOCALES = { en: 'en-PH', fil: 'fil-PH' };
+
+/**
+ * Formats a due date for the reader's locale (Philippine time).
+ * @param {string|Date} value - ISO string or Date.
+ * @param {string} locale - Resolved locale.
+ * @returns {string}
+ */
+function formatDueDate(value, locale) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return date.toLocaleString(DATE_LOCALES[locale], { dateStyle: 'long', timeStyle: 'short', timeZone: 'Asia/Manila' });
+}
+
+const TEMPLATES = {
+    verificationCode: {
+        description: 'Account verification code (and one-click verification link) sent after registration.',
+        sampleData: { code: '123456', verificationUrl: 'https://loaiskoportal.web.app/verify-email?token=sample', expiresInMinutes: 15 },
+        render({ code, verificationUrl, expiresInMinutes }, locale) {
+            const t = {
+                en: {
+                    subject: 'Verification Code for Your Account',
+                    heading: 'Account Verification Code',
+                    intro: 'Thank you for registering. Please use the code below to verify your account in the portal:',
+                    note: 'This code is time-sensitive. Please enter it on the verification screen to proceed.',
+                    linkIntro: 'Or verify with one click:',
+                    linkLabel: 'Verify my account',
+                    expiry: `The code and the link expire in ${expiresInMinutes} minutes and can only be used once.`,
+                    ignore: 'If you did not initiate this registration, please ignore this email.'
+                },
+                fil: {
+                    subject: 'Verification Code para sa Iyong Account',
+                    heading: 'Code para sa Pag-verify ng Account',
+                    intro: 'Salamat sa pagpaparehistro. Gamitin ang code sa ibaba upang i-verify ang iyong account sa portal:',
+                    note: 'May takdang oras ang code na ito. Ilagay ito sa verification screen upang magpatuloy.',
+                    linkIntro: 'O i-verify sa isang click:',
+                    linkLabel: 'I-verify ang aking account',
+                    expiry: `Mag-e-expire ang code at ang link sa loob ng ${expiresInMinutes} minuto at isang beses lang magagamit.`,
+                    ignore: 'Kung hindi ikaw ang nagparehistro, huwag pansinin ang email na ito.'
+                }
+            }[locale];
+
+            const link = verificationUrl ? `
+            <p>${escapeHtml(t.linkIntro)}</p>
+            <p style="text-align: center; margin: 20px 0;"><a href="${escapeHtml(verificationUrl)}" style="background-color: ${BRAND.primaryColor}; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">${escapeHtml(t.linkLabel)}</a></p>` : '';
+
+            return {
+                subject: t.subject,
+                heading: escapeHtml(t.heading),
+                headingColor: BRAND.primaryColor,
+                bodyHtml: `
+            <p>${escapeHtml(t.intro)}</p>${renderCodeBox(code)}
+            <p>${escapeHtml(t.note)}</p>${link}
+            ${expiresInMinutes ? `<p>${escapeHtml(t.expiry)}</p>` : ''}
+            <p style="font-size: 0.8em; color: #777;">${escapeHtml(t.ignore)}</p>`
+            };
+        }
+    },
+
+    passwordReset: {
+        description: 'Time-limited password reset code (forgot password).',
+        sampleData: { code: '654321', expiresInMinutes: 15 },
+        render({ code, expiresInMinutes }, locale) {
+            const t = {
+                en: {
+                    subject: 'Password Reset Code for Your Account',
+                    heading: 'Password Reset Code',
+                    intro: 'We received a request to reset the password of your portal account. Use the code below to choose a new password:',
+                    expiry: `This code expires in ${expiresInMinutes} minutes.`,
+                    ignore: 'If you did not request a password reset, you can ignore this email. Your password will not change.'
+                },
+                fil: {
+                    subject: 'Code para sa Pag-reset ng Password',
+                    heading: 'Code para sa Pag-reset ng Password',
+                    intro: 'Nakatanggap kami ng kahilingan na i-reset ang password ng iyong portal account. Gamitin ang code sa ibaba upang pumili ng bagong password:',
+                    expiry: `Mag-e-expire ang code na ito sa loob ng ${expiresInMinutes} minuto.`,
+                    ignore: 'Kung hindi ikaw ang humiling nito, huwag pansinin ang email na ito. Hindi magbabago ang iyong password.'
+                }
+            }[locale];
+
+            return {
+                subject: t.subject,
+                heading: escapeHtml(t.heading),
+                headingColor: BRAND.primaryColor,
+                bodyHtml: `
+            <p>${escapeHtml(t.intro)}</p>${renderCodeBox(code)}
+            <p>${escapeHtml(t.expiry)}</p>
+            <p style="font-size: 0.8em; color: #777;">${escapeHtml(t.ignore)}</p>`
+            };
+        }
+    },
+
+    emailChangeCode: {
+        description: 'Code sent to a new email address before the account switches to it.',
+        sampleData: { code: '246810', newEmail: 'juan.delacruz@example.com', expiresInMinutes: 15 },
+        render({ code, newEmail, expiresInMinutes }, locale) {
+            const t = {
+                en: {
+                    subject: 'Confirm Your New Email Address',
+                    heading: 'Confirm Your New Email Address',
+                    intro: `A request was made to use ${newEmail} for your portal account. Enter the code below in the portal to confirm it:`,
+                    expiry: `This code expires in ${expiresInMinutes} minutes.`,
+                    ignore: 'If you did not request this change, you can ignore this email. The account will keep its current address.'
+                },
+                fil: {
+                    subject: 'Kumpirmahin ang Iyong Bagong Email Address',
+                    heading: 'Kumpirmahin ang Iyong Bagong Email Address',
+                    intro: `May humiling na gamitin ang ${newEmail} para sa iyong portal account. Ilagay ang code sa ibaba sa portal upang kumpirmahin ito:`,
+                    expiry: `Mag-e-expire ang code na ito sa loob ng ${expiresInMinutes} minuto.`,
+                    ignore: 'Kung hindi ikaw ang humiling nito, huwag pansinin ang email na ito. Mananatili ang kasalukuyang address ng account.'
+                }
+            }[locale];
+
+            return {
+                subject: t.subject,
+                heading: escapeHtml(t.heading),
+                headingColor: BRAND.primaryColor,
+                bodyHtml: `
+            <p>${escapeHtml(t.intro)}</p>${renderCodeBox(code)}
+            <p>${escapeHtml(t.expiry)}</p>
+            <p style="font-size: 0.8em; color: #777;">${escapeHtml(t.ignore)}</p>`
+            };
+        }
+    },
+
+    emailChanged: {
+        description: 'Notice sent to the previous address after the account email was changed.',
+        sampleData: { newEmail: 'juan.delacruz@example.com' },
+        render({ newEmail }, locale) {
+            const t = {
+                en: {
+                    subject: 'Your Account Email Was Changed',
+                    heading: 'Account Email Changed',
+                    intro: `The email address of your portal account was changed to ${newEmail}. Use the new address to log in from now on.`,
+                    warning: 'If you did not make this change, contact the scholarship office right away.'
+                },
+                fil: {
+                    subject: 'Napalitan ang Email ng Iyong Account',
+                    heading: 'Napalitan ang Email ng Account',
+                    intro: `Napalitan ang email address ng iyong portal account sa ${newEmail}. Gamitin na ang bagong address sa pag-log in.`,
+                    warning: 'Kung hindi ikaw ang gumawa nito, makipag-ugnayan agad sa scholarship office.'
+                }
+            }[locale];
+
+            return {
+                subject: t.subject,
+                heading: escapeHtml(t.heading),
+                headingColor: BRAND.primaryColor,
+                bodyHtml: `
+            <p>${escapeHtml(t.intro)}</p>
+            <p><strong>${escapeHtml(t.warning)}</strong></p>`
+            };
+        }
+    },
+
+    applicationStatus: {
+        description: 'Scholarship application status change (Approved, Rejected, Cancelled, Pending, ...).',
+        sampleData: { studentName: 'Juan Dela Cruz', scholarshipType: 'Academic Excellence Scholarship', status: 'Approved' },
+        render({ studentName, scholarshipType, status }, locale) {
+            const key = String(status).toLowerCase();
+            const style = Object.hasOwn(STATUS_STYLES, key) ? STATUS_STYLES[key] : STATUS_STYLES.default;
+            const statusLabel = Object.hasOwn(STATUS_LABELS[locale], status) ? STATUS_LABELS[locale][status] : String(status).toUpperCase();
+            const scholarship = `<b>${escapeHtml(scholarshipType)}</b>`;
+            const label = `<strong>${escapeHtml(statusLabel)}</strong>`;
+
+            const t = {
+                en: {
+                    greeting: `Dear ${escapeHtml(studentName)},`,
+                    approved: {
+                        subject: 'Scholarship Application APPROVED!',
+                        heading: 'Congratulations!',
+                        body: `<p>We are pleased to inform you that your application for the ${scholarship} has been ${label}!</p>
+            <p>You can now log in to the portal to view the details of your award, including the final calculated discount amount.</p>`
+                    },
+                    rejected: {
+                        subject: 'Update on Your Scholarship Application',
+                        heading: 'Application Update',
+                        body: `<p>We regret to inform you that your application for the ${scholarship} has been ${label} at this time.</p>
+            <p>You may check the portal for further details or criteria, or contact the administration for clarification.</p>`
+                    },
+                    default: {
+                        subject: `Application Status Update: ${status}`,
+                        heading: 'Application Status Change',
+                        body: `<p>This is to confirm that the status of your application for the ${scholarship} has been updated to ${label}.</p>`
+                    }
+                },
+                fil: {
+                    greeting: `Mahal na ${escapeHtml(studentName)},`,
+                    approved: {
+                        subject: 'APRUBADO ang Iyong Aplikasyon sa Scholarship!',
+                        heading: 'Binabati kita!',
+                        body: `<p>Ikinagagalak naming ipaalam na ang iyong aplikasyon para sa ${scholarship} ay ${label}!</p>
+            <p>Maaari ka nang mag-log in sa portal upang makita ang detalye ng iyong award, kasama ang huling nakalkulang halaga ng diskwento.</p>`
+                    },
+                    rejected: {
+                        subject: 'Update sa Iyong Aplikasyon sa Scholarship',
+                        heading: 'Update sa Aplikasyon',
+                        body: `<p>Ikinalulungkot naming ipaalam na ang iyong aplikasyon para sa ${scholarship} ay ${label} sa ngayon.</p>
+            <p>Tingnan ang portal para sa karagdagang detalye o pamantayan, o makipag-ugnayan sa administrasyon para sa paglilinaw.</p>`
+                    },
+                    default: {
+                        subject: `Update sa Status ng Aplikasyon: ${statusLabel}`,
+                        heading: 'Pagbabago sa Status ng Aplikasyon',
+                        body: `<p>Kinukumpirma namin na ang status ng iyong aplikasyon para sa ${scholarship} ay ${label} na.</p>`
+                    }
+                }
+            }[locale];
+
+            // Only these statuses have their own wording ('greeting' is not a variant)
+            const variant = key === 'approved' || key === 'rejected' ? t[key] : t.default;
+            return {
+                subject: `${style.icon} ${variant.subject}`,
+                heading: escapeHtml(variant.heading),
+                headingColor: style.color,
+                bodyHtml: `
+            <p>${t.greeting}</p>
+            ${variant.body}`
+            };
+        }
+    },
+
+    resubmissionRequest: {
+        description: 'Request to re-upload specific documents, with the reviewer note and due date for each.',
+        sampleData: {
+            studentName: 'Juan Dela Cruz',
+            scholarshipType: 'Academic Excellence Scholarship',
+            documents: [
+                { label: 'Grades', note: 'The registrar signature is missing.', dueAt: '2026-06-15T09:00:00.000Z' },
+                { label: 'Certificate of Registration', note: 'Please upload the COR for the current semester.', dueAt: '2026-06-15T09:00:00.000Z' }
+            ]
+        },
+        render({ studentName, scholarshipType, documents = [] }, locale) {
+            const t = {
+                en: {
+                    subject: 'Action Needed: Please Re-upload Documents',
+                    heading: 'Documents Needed',
+                    greeting: `Dear ${escapeHtml(studentName)},`,
+                    intro: `Your application for the <b>${escapeHtml(scholarshipType)}</b> needs the following documents uploaded again:`,
+                    due: 'Due',
+                    outro: 'Please log in to the portal to upload the corrected files before the due date.'
+                },
+                fil: {
+                    subject: 'Kailangan ng Aksyon: Mag-upload Muli ng mga Dokumento',
+                    heading: 'Mga Kailangang Dokumento',
+                    greeting: `Mahal na ${escapeHtml(studentName)},`,
+                    intro: `Kailangang i-upload muli ang mga sumusunod na dokumento para sa iyong aplikasyon sa <b>${escapeHtml(scholarshipType)}</b>:`,
+                    due: 'Hanggang',
+                    outro: 'Mag-log in sa portal upang i-upload ang mga itinamang file bago ang takdang petsa.'
+                }
+            }[locale];
+
+            const items = documents.map(({ label, note, dueAt }) => `
+                <li style="margin-bottom: 10px;"><strong>${escapeHtml(label)}</strong>${note ? `<br>${escapeHtml(note)}` : ''}
+                <br><span style="color: #F44336;">${escapeHtml(t.due)}: ${escapeHtml(formatDueDate(dueAt, locale))}</span></li>`).join('');
+
+            return {
+                subject: `📄 ${t.subject}`,
+                heading: escapeHtml(t.heading),
+                headingColor: STATUS_STYLES.cancelled.color,
+                bodyHtml: `
+            <p>${t.greeting}</p>
+            <p>${t.intro}</p>
+            <ul>${items}</ul>
+            <p>${escapeHtml(t.outro)}</p>`
+            };
+        }
+    }
+};
+
+/**
+ * Renders a named template in the given locale.
+ * @param {string} name - Template name (see TEMPLATES).
+ * @param {Object} vars - Raw template variables.
+ * @param {string} [locale] - 'en' or 'fil'; anything else falls back to English.
+ * @returns {{subject: string, html: string, text: string, locale: string}}
+ * @throws {Error} - If the template does not exist.
+ */
+function renderTemplate(name, vars, locale) {
+    if (!Object.hasOwn(TEMPLATES, name)) throw new Error(`Unknown email template "${name}".`);
+    const template = TEMPLATES[name];
+
+    const resolvedLocale = resolveLocale(locale);
+    const { subject, heading, bodyHtml, headingColor } = template.render(vars, resolvedLocale);
+    const html = renderLayout({ heading, bodyHtml, headingColor }, resolvedLocale);
+
+    return { subject, html, text: htmlToText(html), locale: resolvedLocale };
+}
+
+/**
+ * Lists the available templates for the preview endpoint.
+ * @returns {Object[]}
+ */
+function listTemplates() {
+    return Object.entries(TEMPLATES).map(([name, template]) => ({
+        name,
+        description: template.description,
+        locales: [...SUPPORTED_LOCALES],
+        sampleData: template.sampleData
+    }));
+}
+
+/**
+ * Checks preview overrides taken from a query string. Only the template's own
+ * text and number sample fields can be replaced; lists such as `documents`
+ * always come from the sample data.
+ * @param {string} name - Template name.
+ * @param {Object} overrides - Raw query values.
+ * @returns {{errors: string[], values: Object}|null} - Null if the template is unknown.
+ */
+function parsePreviewOverrides(name, overrides = {}) {
+    if (!Object.hasOwn(TEMPLATES, name)) return null;
+    const { sampleData } = TEMPLATES[name];
+
+    const errors = [];
+    const values = {};
+    for (const [field, value] of Object.entries(overrides)) {
+        const sample = Object.hasOwn(sampleData, field) ? sampleData[field] : undefined;
+        if (typeof sample === 'string' && typeof value === 'string') {
+            values[field] = value;
+        } else if (typeof sample === 'number' && typeof value === 'string' && Number.isFinite(Number(value)) && value.trim() !== '') {
+            values[field] = Number(value);
+        } else if (typeof sample === 'string' || typeof sample === 'number') {
+            errors.push(`${field} must be a single ${typeof sample === 'number' ? 'number' : 'value'}.`);
+        } else if (sample !== undefined) {
+            errors.push(`${field} cannot be overridden in a preview.`);
+        } else {
+            errors.push(`${name} has no field "${field}".`);
+        }
+    }
+    return { errors, values };
+}
+
+/**
+ * Renders a template with its sample data (plus optional overrides) for staff preview.
+ * @param {string} name - Template name.
+ * @param {string} [locale] - 'en' or 'fil'.
+ * @param {Object} [overrides] - Values replacing parts of the sample data (see parsePreviewOverrides).
+ * @returns {{subject: string, html: string, text: string, locale: string}|null} - Null if unknown.
+ */
+function renderTemplatePreview(name, locale, overrides = {}) {
+    if (!Object.hasOwn(TEMPLATES, name)) return null;
+    const template = TEMPLATES[name];
+
+    return renderTemplate(name, { ...template.sampleData, ...overrides }, locale);
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    escapeHtml,
+    resolveLocale,
+    htmlToText,
+    renderTemplate,
+    listTemplates,
+    parsePreviewOverrides,
+    renderTemplatePreview
+};
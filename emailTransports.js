@@ -0,0 +1,160 @@
+// emailTransports.js
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Every transport exposes the same shape:
+ *   { name: string, send(message): Promise<void> }
+ * where message is { from: { email, name }, to: string[], subject, html, text }.
+ * `send` throws on failure so emailService can fall back or report it.
+ */
+
+/**
+ * MailerSend (HTTP API).
+ * @param {Object} options
+ * @param {string} options.apiKey - MAILERSEND_API_KEY.
+ */
+function createMailerSendTransport({ apiKey }) {
+    const { MailerSend, EmailParams, Sender, Recipient } = require('mailersend');
+    const mailersend = new MailerSend({ apiKey });
+
+    return {
+        name: 'mailersend',
+        async send(message) {
+            const emailParams = new EmailParams()
+                .setFrom(new Sender(message.from.email, message.from.name))
+                .setTo(message.to.map((email) => new Recipient(email)))
+                .setSubject(message.subject)
+                .setHtml(message.html)
+                .setText(message.text);
+
+            await mailersend.email.send(emailParams);
+        }
+    };
+}
+
+/**
+ * SMTP through nodemailer.
+ * @param {Object} options
+ * @param {string} options.host - SMTP_HOST.
+ * @param {number} options.port - SMTP_PORT.
+ * @param {boolean} options.secure - SMTP_SECURE ('true' for port 465).
+ * @param {string} [options.user] - SMTP_USER.
+ * @param {string} [options.pass] - SMTP_PASS.
+ */
+function createSmtpTransport({ host, port, secure, user, pass }) {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            await transporter.sendMail({
+                from: { name: message.from.name, address: message.from.email },
+                to: message.to,
+                subject: message.subject,
+                html: message.html,
+                text: message.text
+            });
+        }
+    };
+}
+
+/**
+ * Resend (HTTP API). The SDK returns errors instead of throwing, so they are rethrown here.
+ * @param {Object} options
+ * @param {string} options.apiKey - RESEND_API_KEY.
+ */
+function createResendTransport({ apiKey }) {
+    const { Resend } = require('resend');
+    const resend = new Resend(apiKey);
+
+    return {
+        name: 'resend',
+        async send(message) {
+            const { error } = await resend.emails.send({
+                from: `${message.from.name} <${message.from.email}>`,
+                to: message.to,
+                subject: message.subject,
+                html: message.html,
+                text: message.text
+            });
+            if (error) throw new Error(`Resend error: ${error.message || error.name}`);
+        }
+    };
+}
+
+/**
+ * Local sink for development and automated tests: every message is written to
+ * disk as JSON (plus the HTML body) and logged to the console. Never sends anything.
+ * @param {Object} options
+ * @param {string} options.directory - EMAIL_FILE_DIR.
+ */
+function createFileTransport({ directory }) {
+    return {
+        name: 'file',
+        async send(message) {
+            await fs.mkdir(directory, { recursive: true });
+
+            const baseName = `${new Date().toISOString().replace(/[:.]/g, '-')}_${message.to.join('_').replace(/[^a-zA-Z0-9@._-]/g, '')}`;
+            await fs.writeFile(path.join(directory, `${baseName}.json`), JSON.stringify(message, null, 2));
+            await fs.writeFile(path.join(directory, `${baseName}.html`), message.html);
+
+            console.log(`📁 [file transport] "${message.subject}" to ${message.to.join(', ')} written to ${path.join(directory, baseName)}.json`);
+        }
+    };
+}
+
+/**
+ * Builds a transport by name from environment variables.
+ * @param {string} name - 'mailersend', 'smtp', 'resend' or 'file'.
+ * @returns {Object|null} - Null if the transport's settings are missing.
+ */
+function createTransportFromEnv(name) {
+    switch (name) {
+        case 'mailersend':
+            if (!process.env.MAILERSEND_API_KEY) {
+                console.error("❌ MAILERSEND_API_KEY is missing from environment variables. MailerSend transport disabled.");
+                return null;
+            }
+            return createMailerSendTransport({ apiKey: process.env.MAILERSEND_API_KEY });
+        case 'smtp':
+            if (!process.env.SMTP_HOST) {
+                console.error("❌ SMTP_HOST is missing from environment variables. SMTP transport disabled.");
+                return null;
+            }
+            return createSmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: Number(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            });
+        case 'resend':
+            if (!process.env.RESEND_API_KEY) {
+                console.error("❌ RESEND_API_KEY is missing from environment variables. Resend transport disabled.");
+                return null;
+            }
+            return createResendTransport({ apiKey: process.env.RESEND_API_KEY });
+        case 'file':
+            return createFileTransport({ directory: process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'loaiskoportal-emails') });
+        default:
+            console.error(`❌ Unknown EMAIL_TRANSPORT "${name}". Use mailersend, smtp, resend or file.`);
+            return null;
+    }
+}
+
+module.exports = {
+    createMailerSendTransport,
+    createSmtpTransport,
+    createResendTransport,
+    createFileTransport,
+    createTransportFromEnv
+};
@@ -0,0 +1,18 @@
+// httpError.js
+
+/**
+ * Creates an Error carrying an HTTP status code, so route handlers can map
+ * failures thrown inside transactions and helpers to the right response.
+ * @param {number} statusCode - The HTTP status to respond with.
+ * @param {string} message - The message sent to the client.
+ * @param {Object} [details] - Extra fields merged into the JSON response.
+ * @returns {Error}
+ */
+function createHttpError(statusCode, message, details = {}) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+}
+
+module.exports = { createHttpError };
@@ -0,0 +1,131 @@
+// idempotencyKeys.js
+
+const { createHttpError } = require('./httpError');
+
+/**
+ * Idempotency-Key support for requests that must not run twice (double clicks,
+ * client retries after a timeout). Records live in MongoDB, keyed by
+ * `<scope>:<userId>:<key>`:
+ *
+ *   in_progress → completed (response stored and replayed to later requests)
+ *   in_progress → (deleted) when the request fails, so the client may retry with the same key
+ *
+ * Records expire after IDEMPOTENCY_TTL_HOURS (default 24) through a TTL index.
+ */
+const IDEMPOTENCY_COLLECTION = 'idempotency_keys';
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const IDEMPOTENCY_STATES = Object.freeze({
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed'
+});
+
+const TTL_MS = (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// A request still in progress after this long is assumed to have died with its server
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{8,255}$/;
+
+/**
+ * Creates the TTL index that expires old records.
+ * @param {import('mongodb').Collection} collection - idempotency_keys.
+ */
+async function ensureIdempotencyIndexes(collection) {
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+/**
+ * Reads the Idempotency-Key header.
+ * @param {import('express').Request} req
+ * @returns {string|null} - Null if the client did not send one.
+ * @throws {Error} - 400 HTTP error for a malformed key.
+ */
+function readIdempotencyKey(req) {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) return null;
+    if (!KEY_PATTERN.test(key)) {
+        throw createHttpError(400, `${IDEMPOTENCY_HEADER} must be 8-255 characters of letters, digits, '-', '_', ':' or '.' (a UUID works).`);
+    }
+    return key;
+}
+
+/**
+ * Claims an idempotency key before the work starts.
+ * @param {import('mongodb').Collection} collection - idempotency_keys.
+ * @param {Object} claim
+ * @param {string} claim.scope - The operation (e.g. 'submit-application').
+ * @param {string} claim.userId - The caller's UID; keys are private to each user.
+ * @param {string} claim.key - From readIdempotencyKey.
+ * @returns {Promise<{id: string, replay: {statusCode: number, body: Object}|null}>}
+ *   - `replay` is the stored response when the request already completed.
+ * @throws {Error} - 409 HTTP error while the same request is still running.
+ */
+async function beginIdempotentRequest(collection, { scope, userId, key }) {
+    const id = `${scope}:${userId}:${key}`;
+    const now = new Date();
+
+    try {
+        await collection.insertOne({
+            _id: id,
+            scope,
+            userId,
+            state: IDEMPOTENCY_STATES.IN_PROGRESS,
+            lockedAt: now,
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + TTL_MS)
+        });
+        return { id, replay: null };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const existing = await collection.findOne({ _id: id });
+    if (existing?.state === IDEMPOTENCY_STATES.COMPLETED) {
+        return { id, replay: { statusCode: existing.statusCode, body: existing.body } };
+    }
+
+    // Take over a lock whose request never finished (e.g. the server restarted mid-request)
+    const takeover = await collection.updateOne(
+        { _id: id, state: IDEMPOTENCY_STATES.IN_PROGRESS, lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+        { $set: { lockedAt: now } }
+    );
+    if (takeover.modifiedCount === 1) return { id, replay: null };
+
+    throw createHttpError(409, "A request with this Idempotency-Key is still being processed. Try again shortly.");
+}
+
+/**
+ * Stores the response of a finished request so replays receive it unchanged.
+ * @param {import('mongodb').Collection} collection - idempotency_keys.
+ * @param {string} id - From beginIdempotentRequest.
+ * @param {number} statusCode - The HTTP status sent.
+ * @param {Object} body - The JSON body sent.
+ */
+async function completeIdempotentRequest(collection, id, statusCode, body) {
+    await collection.updateOne(
+        { _id: id },
+        {
+            // Round-trip through JSON so the stored body is exactly what the client received
+            $set: { state: IDEMPOTENCY_STATES.COMPLETED, statusCode, body: JSON.parse(JSON.stringify(body)), completedAt: new Date() },
+            $unset: { lockedAt: '' }
+        }
+    );
+}
+
+/**
+ * Forgets a key whose request failed, so the client can retry it.
+ * @param {import('mongodb').Collection} collection - idempotency_keys.
+ * @param {string} id - From beginIdempotentRequest.
+ */
+async function releaseIdempotentRequest(collection, id) {
+    await collection.deleteOne({ _id: id, state: IDEMPOTENCY_STATES.IN_PROGRESS });
+}
+
+module.exports = {
+    IDEMPOTENCY_COLLECTION,
+    IDEMPOTENCY_HEADER,
+    ensureIdempotencyIndexes,
+    readIdempotencyKey,
+    beginIdempotentRequest,
+    completeIdempotentRequest,
+    releaseIdempotentRequest
+};
@@ -0,0 +1,241 @@
+// identityReconciliation.js
+
+const admin = require('./firebaseAdmin');
+const { ROLES } = require('./roles');
+const { resolveLocale } = require('./emailTemplates');
+
+/**
+ * Finds and repairs drift between the three places a student's identity lives:
+ * the MongoDB `students` record (source of truth), the Firebase Auth user and
+ * the Firestore `students/{uid}` document. Records are matched by UID (`studentNo`).
+ */
+const DRIFT_CATEGORIES = Object.freeze({
+    MISSING_IN_AUTH: 'missing_in_auth',
+    MISSING_IN_FIRESTORE: 'missing_in_firestore',
+    ORPHAN_AUTH_USER: 'orphan_auth_user',
+    ORPHAN_FIRESTORE_DOC: 'orphan_firestore_doc',
+    EMAIL_MISMATCH: 'email_mismatch',
+    EMAIL_VERIFIED_MISMATCH: 'email_verified_mismatch',
+    NAME_MISMATCH: 'name_mismatch',
+    ROLE_MISMATCH: 'role_mismatch'
+});
+
+// Orphans have no MongoDB record (and so no password or profile) to rebuild from;
+// deleting them is left to an admin who has looked at them.
+const MANUAL_CATEGORIES = Object.freeze([DRIFT_CATEGORIES.ORPHAN_AUTH_USER, DRIFT_CATEGORIES.ORPHAN_FIRESTORE_DOC]);
+
+const AUTH_PAGE_SIZE = 1000;
+const MAX_ISSUES_PER_CATEGORY = 200;
+
+const displayNameOf = (student) => `${student.firstName || ''} ${student.lastName || ''}`.trim();
+const sameText = (a, b) => (a || null) === (b || null);
+const sameEmail = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+async function loadAuthUsers(auth) {
+    const users = new Map();
+    let pageToken;
+    do {
+        const page = await auth.listUsers(AUTH_PAGE_SIZE, pageToken);
+        for (const user of page.users) users.set(user.uid, user);
+        pageToken = page.pageToken;
+    } while (pageToken);
+    return users;
+}
+
+async function loadFirestoreStudents(firestoreDb) {
+    const docs = new Map();
+    const query = firestoreDb.collection('students')
+        .select('email', 'firstName', 'middleName', 'lastName', 'role');
+    for await (const doc of query.stream()) docs.set(doc.id, doc.data());
+    return docs;
+}
+
+/**
+ * Compares one MongoDB student with its Auth user and Firestore document.
+ * @returns {Object[]} - [{ category, uid, email, details }]
+ */
+function compareStudent(student, authUser, firestoreDoc) {
+    const uid = student.studentNo;
+    const issues = [];
+    const issue = (category, details = {}) => issues.push({ category, uid, email: student.email, details });
+    const role = student.role || ROLES.STUDENT;
+
+    if (!authUser) {
+        issue(DRIFT_CATEGORIES.MISSING_IN_AUTH);
+    } else {
+        if (!sameEmail(authUser.email, student.email)) {
+            issue(DRIFT_CATEGORIES.EMAIL_MISMATCH, { store: 'auth', expected: student.email, actual: authUser.email || null });
+        }
+        if (Boolean(authUser.emailVerified) !== Boolean(student.isVerified)) {
+            issue(DRIFT_CATEGORIES.EMAIL_VERIFIED_MISMATCH, { expected: Boolean(student.isVerified), actual: Boolean(authUser.emailVerified) });
+        }
+        if (!sameText(authUser.displayName, displayNameOf(student))) {
+            issue(DRIFT_CATEGORIES.NAME_MISMATCH, { store: 'auth', expected: displayNameOf(student), actual: authUser.displayName || null });
+        }
+        if ((authUser.customClaims?.role || null) !== role) {
+            issue(DRIFT_CATEGORIES.ROLE_MISMATCH, { store: 'auth', expected: role, actual: authUser.customClaims?.role || null });
+        }
+    }
+
+    if (!firestoreDoc) {
+        issue(DRIFT_CATEGORIES.MISSING_IN_FIRESTORE);
+    } else {
+        if (!sameEmail(firestoreDoc.email, student.email)) {
+            issue(DRIFT_CATEGORIES.EMAIL_MISMATCH, { store: 'firestore', expected: student.email, actual: firestoreDoc.email || null });
+        }
+        const nameFields = ['firstName', 'middleName', 'lastName'].filter((field) => !sameText(firestoreDoc[field], student[field]));
+        if (nameFields.length > 0) {
+            issue(DRIFT_CATEGORIES.NAME_MISMATCH, {
+                store: 'firestore',
+                fields: nameFields,
+                expected: Object.fromEntries(nameFields.map((field) => [field, student[field] || null])),
+                actual: Object.fromEntries(nameFields.map((field) => [field, firestoreDoc[field] || null]))
+            });
+        }
+        if ((firestoreDoc.role || null) !== role) {
+            issue(DRIFT_CATEGORIES.ROLE_MISMATCH, { store: 'firestore', expected: role, actual: firestoreDoc.role || null });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Repairs one student from its MongoDB record. Only the stores that drifted are written.
+ * @param {Object} student - MongoDB record.
+ * @param {Object[]} issues - This student's issues from compareStudent.
+ */
+async function repairStudent(auth, firestoreDb, student, issues) {
+    const uid = student.studentNo;
+    const role = student.role || ROLES.STUDENT;
+    const categories = (store) => new Set(issues
+        .filter((issue) => !issue.details.store || issue.details.store === store)
+        .map((issue) => issue.category));
+    const authIssues = categories('auth');
+    const firestoreIssues = categories('firestore');
+
+    if (authIssues.has(DRIFT_CATEGORIES.MISSING_IN_AUTH)) {
+        // Import with the MongoDB bcrypt hash so the student's password keeps working
+        const result = await auth.importUsers([{
+            uid,
+            email: student.email,
+            emailVerified: Boolean(student.isVerified),
+            displayName: displayNameOf(student) || undefined,
+            passwordHash: student.password ? Buffer.from(student.password) : undefined,
+            customClaims: { role }
+        }], { hash: { algorithm: 'BCRYPT' } });
+        if (result.failureCount > 0) throw result.errors[0].error;
+    } else {
+        const updates = {};
+        if (authIssues.has(DRIFT_CATEGORIES.EMAIL_MISMATCH)) updates.email = student.email;
+        if (authIssues.has(DRIFT_CATEGORIES.EMAIL_VERIFIED_MISMATCH)) updates.emailVerified = Boolean(student.isVerified);
+        if (authIssues.has(DRIFT_CATEGORIES.NAME_MISMATCH)) updates.displayName = displayNameOf(student);
+        if (Object.keys(updates).length > 0) await auth.updateUser(uid, updates);
+
+        if (authIssues.has(DRIFT_CATEGORIES.ROLE_MISMATCH)) {
+            const user = await auth.getUser(uid);
+            await auth.setCustomUserClaims(uid, { ...(user.customClaims || {}), role });
+            // Tokens issued with the old role must not keep working
+            await auth.revokeRefreshTokens(uid);
+        }
+    }
+
+    if (firestoreIssues.has(DRIFT_CATEGORIES.MISSING_IN_FIRESTORE)) {
+        await firestoreDb.collection('students').doc(uid).set({
+            studentNo: uid,
+            firstName: student.firstName || null,
+            middleName: student.middleName || null,
+            lastName: student.lastName || null,
+            email: student.email,
+            course: student.course || null,
+            yearLevel: student.yearLevel || null,
+            role,
+            preferredLanguage: resolveLocale(student.preferredLanguage),
+            verifiedAt: null
+        }, { merge: true });
+    } else {
+        const updates = {};
+        if (firestoreIssues.has(DRIFT_CATEGORIES.EMAIL_MISMATCH)) updates.email = student.email;
+        if (firestoreIssues.has(DRIFT_CATEGORIES.NAME_MISMATCH)) {
+            Object.assign(updates, {
+                firstName: student.firstName || null,
+                middleName: student.middleName || null,
+                lastName: student.lastName || null
+            });
+        }
+        if (firestoreIssues.has(DRIFT_CATEGORIES.ROLE_MISMATCH)) updates.role = role;
+        if (Object.keys(updates).length > 0) {
+            await firestoreDb.collection('students').doc(uid).set(updates, { merge: true });
+        }
+    }
+}
+
+/**
+ * Scans MongoDB, Firebase Auth and Firestore and reports (and optionally repairs) drift.
+ * @param {Object} options
+ * @param {import('mongodb').Collection} options.studentsCollection - MongoDB students.
+ * @param {boolean} [options.apply=false] - Repair drift; otherwise only report it (dry run).
+ * @returns {Promise<Object>} - { mode, scanned, counts, issues, repaired, failed }
+ */
+async function reconcileIdentities({ studentsCollection, apply = false }) {
+    const auth = admin.auth();
+    const firestoreDb = admin.firestore();
+
+    const [authUsers, firestoreDocs] = await Promise.all([loadAuthUsers(auth), loadFirestoreStudents(firestoreDb)]);
+
+    const counts = Object.fromEntries(Object.values(DRIFT_CATEGORIES).map((category) => [category, 0]));
+    const issues = Object.fromEntries(Object.values(DRIFT_CATEGORIES).map((category) => [category, []]));
+    const report = (issue) => {
+        counts[issue.category]++;
+        // Counts are exact; the listed examples are capped to keep the response small
+        if (issues[issue.category].length < MAX_ISSUES_PER_CATEGORY) issues[issue.category].push(issue);
+    };
+
+    const seenUids = new Set();
+    const failed = [];
+    let mongoCount = 0;
+    let repaired = 0;
+
+    const cursor = studentsCollection.find({}, {
+        projection: { studentNo: 1, email: 1, firstName: 1, middleName: 1, lastName: 1, role: 1, isVerified: 1, course: 1, yearLevel: 1, preferredLanguage: 1, password: 1 }
+    });
+    for await (const student of cursor) {
+        mongoCount++;
+        if (!student.studentNo) continue;
+        seenUids.add(student.studentNo);
+
+        const studentIssues = compareStudent(student, authUsers.get(student.studentNo), firestoreDocs.get(student.studentNo));
+        studentIssues.forEach(report);
+        if (!apply || studentIssues.length === 0) continue;
+
+        try {
+            await repairStudent(auth, firestoreDb, student, studentIssues);
+            repaired++;
+        } catch (error) {
+            failed.push({ uid: student.studentNo, email: student.email, error: error.message || String(error) });
+        }
+    }
+
+    for (const [uid, user] of authUsers) {
+        if (!seenUids.has(uid)) report({ category: DRIFT_CATEGORIES.ORPHAN_AUTH_USER, uid, email: user.email || null, details: {} });
+    }
+    for (const [uid, doc] of firestoreDocs) {
+        if (!seenUids.has(uid)) report({ category: DRIFT_CATEGORIES.ORPHAN_FIRESTORE_DOC, uid, email: doc.email || null, details: {} });
+    }
+
+    return {
+        mode: apply ? 'apply' : 'dry-run',
+        scanned: { mongo: mongoCount, auth: authUsers.size, firestore: firestoreDocs.size },
+        counts,
+        issues,
+        manualCategories: MANUAL_CATEGORIES,
+        repaired,
+        failed,
+        finishedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    DRIFT_CATEGORIES,
+    reconcileIdentities
+};
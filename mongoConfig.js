@@ -0,0 +1,14 @@
+// mongoConfig.js
+
+// Shared by server.js and the maintenance scripts in scripts/
+const MONGO_URI = process.env.MONGO_URI;
+const DB_NAME = "scholarship_db";
+const STUDENTS_COLLECTION = "students";
+const APPLICATIONS_COLLECTION = "applications";
+
+module.exports = {
+    MONGO_URI,
+    DB_NAME,
+    STUDENTS_COLLECTION,
+    APPLICATIONS_COLLECTION
+};
@@ -0,0 +1,341 @@
+// notificationOutbox.js
+
+const admin = require('./firebaseAdmin');
+const { deliverApplicationStatusEmail, deliverResubmissionRequestEmail } = require('./emailService');
+const { APPLICATION_STATUSES } = require('./applicationStatus');
+
+// --- OUTBOX CONFIG ---
+// Jobs are written in the same Firestore transaction as the status change and
+// sent later by the worker, so a failed send never loses the notification.
+const OUTBOX_COLLECTION = 'notification_outbox';
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 6;
+const BASE_RETRY_DELAY_MS = 60 * 1000;       // 1 minute, doubled on every failure
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000; // never wait more than 6 hours
+const SEND_LEASE_MS = 5 * 60 * 1000;         // a crashed worker's job is retried after this
+const BATCH_SIZE = 10;
+
+// Job type → application field that mirrors the job's delivery state
+const NOTIFICATION_TYPES = Object.freeze({
+    APPLICATION_STATUS: 'application_status',
+    RESUBMISSION_REQUEST: 'resubmission_request'
+});
+
+const DELIVERY_STATE_FIELDS = Object.freeze({
+    [NOTIFICATION_TYPES.APPLICATION_STATUS]: 'statusNotification',
+    [NOTIFICATION_TYPES.RESUBMISSION_REQUEST]: 'resubmissionNotification'
+});
+
+const NOTIFICATION_STATES = Object.freeze({
+    PENDING: 'pending',
+    SENDING: 'sending',
+    SENT: 'sent',
+    FAILED: 'failed', // will be retried
+    DEAD: 'dead'      // gave up after MAX_ATTEMPTS; needs a manual resend
+});
+
+// Only statuses with a student-facing email template are notified
+const NOTIFIED_STATUSES = Object.freeze([
+    APPLICATION_STATUSES.PENDING,
+    APPLICATION_STATUSES.APPROVED,
+    APPLICATION_STATUSES.REJECTED,
+    APPLICATION_STATUSES.CANCELLED
+]);
+
+const firestoreDb = admin.firestore();
+
+/**
+ * Computes the delay before the next attempt (exponential backoff with a cap).
+ * @param {number} attempts - Attempts made so far (1 after the first failure).
+ * @returns {number} - Delay in milliseconds.
+ */
+function getRetryDelayMs(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Checks whether a status change should notify the student.
+ * @param {string} status - The new application status.
+ * @returns {boolean}
+ */
+function shouldNotifyStatus(status) {
+    return NOTIFIED_STATUSES.includes(status);
+}
+
+/**
+ * Queues a status notification job inside a Firestore transaction.
+ * @param {FirebaseFirestore.Transaction} transaction - The transaction changing the status.
+ * @param {Object} job - What to send.
+ * @param {string} job.applicationId - The scholarship_applications document ID.
+ * @param {string} job.userId - The student's UID (used to look up the recipient).
+ * @param {string} job.status - The new status.
+ * @param {string} job.scholarshipType - The scholarship applied for.
+ * @returns {Object} - Delivery state to store as `statusNotification` on the application.
+ */
+function enqueueStatusNotification(transaction, { applicationId, userId, status, scholarshipType }) {
+    const { jobId, deliveryState } = createJob(transaction, {
+        type: NOTIFICATION_TYPES.APPLICATION_STATUS,
+        applicationId,
+        userId,
+        status,
+        scholarshipType: scholarshipType || null
+    });
+    return { jobId, status, ...deliveryState };
+}
+
+/**
+ * Queues a "please re-upload these documents" email inside a Firestore transaction.
+ * @param {FirebaseFirestore.Transaction} transaction - The transaction flagging the documents.
+ * @param {Object} job - What to send.
+ * @param {string} job.applicationId - The scholarship_applications document ID.
+ * @param {string} job.userId - The student's UID.
+ * @param {string} job.scholarshipType - The scholarship applied for.
+ * @param {Object[]} job.documents - { docType, label, note, dueAt (ISO string) } per flagged document.
+ * @returns {Object} - Delivery state to store as `resubmissionNotification` on the application.
+ */
+function enqueueResubmissionNotification(transaction, { applicationId, userId, scholarshipType, documents }) {
+    const { jobId, deliveryState } = createJob(transaction, {
+        type: NOTIFICATION_TYPES.RESUBMISSION_REQUEST,
+        applicationId,
+        userId,
+        scholarshipType: scholarshipType || null,
+        documents
+    });
+    return { jobId, docTypes: documents.map((document) => document.docType), ...deliveryState };
+}
+
+function createJob(transaction, fields) {
+    const jobRef = firestoreDb.collection(OUTBOX_COLLECTION).doc();
+    const now = admin.firestore.Timestamp.now();
+
+    transaction.create(jobRef, {
+        ...fields,
+        state: NOTIFICATION_STATES.PENDING,
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: now,
+        createdAt: now,
+        sentAt: null
+    });
+
+    return {
+        jobId: jobRef.id,
+        deliveryState: {
+            state: NOTIFICATION_STATES.PENDING,
+            attempts: 0,
+            lastError: null,
+            queuedAt: now,
+            sentAt: null
+        }
+    };
+}
+
+/**
+ * Mirrors a job's delivery state onto its application document.
+ * Only applies if the application still points at this job.
+ */
+async function recordDeliveryState(jobId, job, fields) {
+    const applicationRef = firestoreDb.collection('scholarship_applications').doc(job.applicationId);
+    // Jobs created before job types existed are status notifications
+    const stateField = DELIVERY_STATE_FIELDS[job.type] || DELIVERY_STATE_FIELDS[NOTIFICATION_TYPES.APPLICATION_STATUS];
+
+    try {
+        await firestoreDb.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(applicationRef);
+            if (!snapshot.exists || snapshot.get(`${stateField}.jobId`) !== jobId) return;
+
+            const updates = {};
+            for (const [field, value] of Object.entries(fields)) {
+                updates[`${stateField}.${field}`] = value;
+            }
+            transaction.update(applicationRef, updates);
+        });
+    } catch (error) {
+        console.error(`❌ Failed to record notification state on application ${job.applicationId}:`, error);
+    }
+}
+
+/**
+ * Claims a due job so that no other worker sends it at the same time.
+ * @returns {Promise<Object|null>} - The job data, or null if someone else took it.
+ */
+async function claimJob(jobRef) {
+    return firestoreDb.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(jobRef);
+        if (!snapshot.exists) return null;
+
+        const job = snapshot.data();
+        const isDue = job.nextAttemptAt.toMillis() <= Date.now();
+        const isOpen = [NOTIFICATION_STATES.PENDING, NOTIFICATION_STATES.FAILED, NOTIFICATION_STATES.SENDING].includes(job.state);
+        if (!isDue || !isOpen) return null;
+
+        transaction.update(jobRef, {
+            state: NOTIFICATION_STATES.SENDING,
+            nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + SEND_LEASE_MS)
+        });
+        return job;
+    });
+}
+
+/**
+ * Sends one claimed job and records the outcome on the job and the application.
+ */
+async function sendJob(jobRef, job) {
+    const attempts = (job.attempts || 0) + 1;
+
+    try {
+        const studentSnapshot = await firestoreDb.collection('students').doc(job.userId).get();
+        const student = studentSnapshot.exists ? studentSnapshot.data() : null;
+        if (!student || !student.email) {
+            throw new Error(`No email address on file for student ${job.userId}.`);
+        }
+
+        const studentName = `${student.firstName || ''} ${student.lastName || ''}`.trim() || 'Student';
+        if (job.type === NOTIFICATION_TYPES.RESUBMISSION_REQUEST) {
+            await deliverResubmissionRequestEmail(student.email, studentName, job.scholarshipType, job.documents || [], student.preferredLanguage);
+        } else {
+            await deliverApplicationStatusEmail(student.email, studentName, job.scholarshipType, job.status, student.preferredLanguage);
+        }
+
+        const sentAt = admin.firestore.Timestamp.now();
+        await jobRef.update({ state: NOTIFICATION_STATES.SENT, attempts, lastError: null, sentAt });
+        await recordDeliveryState(jobRef.id, job, { state: NOTIFICATION_STATES.SENT, attempts, lastError: null, sentAt });
+    } catch (error) {
+        const lastError = error.response?.data?.message || error.message || String(error);
+        const isDead = attempts >= MAX_ATTEMPTS;
+        const state = isDead ? NOTIFICATION_STATES.DEAD : NOTIFICATION_STATES.FAILED;
+
+        await jobRef.update({
+            state,
+            attempts,
+            lastError,
+            nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + getRetryDelayMs(attempts)),
+            ...(isDead ? { deadAt: admin.firestore.Timestamp.now() } : {})
+        });
+        await recordDeliveryState(jobRef.id, job, { state, attempts, lastError });
+
+        if (isDead) {
+            console.error(`☠️ Notification ${jobRef.id} dead-lettered after ${attempts} attempts:`, lastError);
+        } else {
+            console.warn(`⚠️ Notification ${jobRef.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}), will retry:`, lastError);
+        }
+    }
+}
+
+/**
+ * Sends every notification that is due. Safe to run from several instances.
+ * NOTE: Requires a composite index on notification_outbox (state ASC, nextAttemptAt ASC).
+ * @returns {Promise<number>} - How many jobs were processed.
+ */
+async function processDueNotifications() {
+    const snapshot = await firestoreDb.collection(OUTBOX_COLLECTION)
+        .where('state', 'in', [NOTIFICATION_STATES.PENDING, NOTIFICATION_STATES.FAILED, NOTIFICATION_STATES.SENDING])
+        .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+        .orderBy('nextAttemptAt', 'asc')
+        .limit(BATCH_SIZE)
+        .get();
+
+    let processed = 0;
+    for (const doc of snapshot.docs) {
+        const job = await claimJob(doc.ref);
+        if (!job) continue;
+
+        await sendJob(doc.ref, job);
+        processed++;
+    }
+    return processed;
+}
+
+/**
+ * Starts the background worker that polls the outbox.
+ * @param {number} [intervalMs=30000] - Polling interval.
+ * @returns {Function} - Call to stop the worker.
+ */
+function startNotificationWorker(intervalMs = 30 * 1000) {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        if (running) return; // previous run still busy
+        running = true;
+        try {
+            await processDueNotifications();
+        } catch (error) {
+            console.error("❌ Notification worker run failed:", error);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+
+    console.log(`📬 Notification worker started (every ${intervalMs / 1000}s).`);
+    return () => clearInterval(timer);
+}
+
+/**
+ * Lists failed and dead-lettered jobs, newest first.
+ * @param {string[]} states - Which states to include.
+ * @param {number} limit - Maximum number of jobs.
+ * @returns {Promise<Object[]>}
+ */
+async function listNotifications(states, limit) {
+    const snapshot = await firestoreDb.collection(OUTBOX_COLLECTION)
+        .where('state', 'in', states)
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+
+    return snapshot.docs.map((doc) => {
+        const job = doc.data();
+        return {
+            id: doc.id,
+            ...job,
+            nextAttemptAt: job.nextAttemptAt ? job.nextAttemptAt.toDate().toISOString() : null,
+            createdAt: job.createdAt ? job.createdAt.toDate().toISOString() : null,
+            sentAt: job.sentAt ? job.sentAt.toDate().toISOString() : null,
+            deadAt: job.deadAt ? job.deadAt.toDate().toISOString() : null
+        };
+    });
+}
+
+/**
+ * Puts a failed or dead job back in the queue with a fresh set of attempts.
+ * @param {string} jobId - The outbox document ID.
+ * @param {string} requestedBy - UID of the admin asking for the resend.
+ * @returns {Promise<boolean>} - False if the job does not exist or was already sent.
+ */
+async function requeueNotification(jobId, requestedBy) {
+    const jobRef = firestoreDb.collection(OUTBOX_COLLECTION).doc(jobId);
+
+    const job = await firestoreDb.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(jobRef);
+        if (!snapshot.exists) return null;
+
+        const data = snapshot.data();
+        if (![NOTIFICATION_STATES.FAILED, NOTIFICATION_STATES.DEAD].includes(data.state)) return null;
+
+        transaction.update(jobRef, {
+            state: NOTIFICATION_STATES.PENDING,
+            attempts: 0,
+            nextAttemptAt: admin.firestore.Timestamp.now(),
+            resendRequestedBy: requestedBy,
+            resendRequestedAt: admin.firestore.Timestamp.now()
+        });
+        return data;
+    });
+
+    if (!job) return false;
+
+    await recordDeliveryState(jobId, job, { state: NOTIFICATION_STATES.PENDING, attempts: 0 });
+    return true;
+}
+
+module.exports = {
+    NOTIFICATION_STATES,
+    MAX_ATTEMPTS,
+    shouldNotifyStatus,
+    enqueueStatusNotification,
+    enqueueResubmissionNotification,
+    processDueNotifications,
+    startNotificationWorker,
+    listNotifications,
+    requeueNotification
+};
@@ -0,0 +1,119 @@
+// orphanedDocuments.js
+
+const admin = require('./firebaseAdmin');
+const { RESUBMISSION_FILES_COLLECTION } = require('./resubmissionRequests');
+
+/**
+ * Finds (and optionally deletes) stored files under `application_documents/`
+ * that no applications_files or resubmission_files document points to. They
+ * are left behind by submissions that failed after uploading.
+ *
+ * Files younger than minAgeHours are skipped: they may belong to a submission
+ * that is still running.
+ */
+const DOCUMENTS_PREFIX = 'application_documents/';
+const DEFAULT_MIN_AGE_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Documents uploaded before storage keys were recorded only have a Cloudinary URL
+const CLOUDINARY_URL_PATTERN = /\/upload\/(?:[^/]+\/)*?(?:v\d+\/)(.+?)(?:\.[a-z0-9]+)?$/i;
+
+/**
+ * Extracts the storage keys referenced by one file-collection document,
+ * including replaced versions kept under previousVersions.
+ * @param {Object} data - applications_files or resubmission_files document data.
+ * @returns {string[]}
+ */
+function getReferencedKeys(data) {
+    const entries = [
+        ...Object.values(data.documents || {}),
+        ...Object.values(data.previousVersions || {}).flat()
+    ];
+
+    return entries.flatMap((entry) => {
+        if (entry?.storageKey) return [entry.storageKey];
+        const match = entry?.url && CLOUDINARY_URL_PATTERN.exec(entry.url);
+        return match ? [decodeURIComponent(match[1])] : [];
+    });
+}
+
+/**
+ * Upload time of a stored file: from the key's `_<timestamp>` suffix (see
+ * storageService.buildDocumentKey), or the backend metadata for other keys.
+ * @returns {Promise<Date|null>}
+ */
+async function getUploadedAt(storage, key) {
+    const match = /_(\d{13})$/.exec(key);
+    if (match) return new Date(Number(match[1]));
+
+    const metadata = await storage.getMetadata(key);
+    return metadata?.createdAt ? new Date(metadata.createdAt) : null;
+}
+
+/**
+ * Lists orphaned files and, with `apply`, deletes them.
+ * @param {Object} options
+ * @param {Object} options.storage - The document storage backend (storageService).
+ * @param {number} [options.minAgeHours=24] - Leave younger files alone.
+ * @param {boolean} [options.apply=false] - Delete the orphans; otherwise only report them (dry run).
+ * @returns {Promise<Object>} - { mode, scanned, referenced, orphans, skippedRecent, deleted, failed }
+ */
+async function cleanupOrphanedDocuments({ storage, minAgeHours = DEFAULT_MIN_AGE_HOURS, apply = false }) {
+    const firestoreDb = admin.firestore();
+
+    const referenced = new Set();
+    for (const collection of ['applications_files', RESUBMISSION_FILES_COLLECTION]) {
+        const query = firestoreDb.collection(collection).select('documents', 'previousVersions');
+        for await (const doc of query.stream()) {
+            getReferencedKeys(doc.data()).forEach((key) => referenced.add(key));
+        }
+    }
+
+    const keys = await storage.list(DOCUMENTS_PREFIX);
+    const cutoff = Date.now() - minAgeHours * HOUR_MS;
+    const orphans = [];
+    let skippedRecent = 0;
+
+    for (const key of keys) {
+        if (referenced.has(key)) continue;
+        const uploadedAt = await getUploadedAt(storage, key);
+        // Unknown age counts as recent: never delete what we cannot date
+        if (!uploadedAt || uploadedAt.getTime() > cutoff) {
+            skippedRecent++;
+            continue;
+        }
+        orphans.push({ key, uploadedAt: uploadedAt.toISOString() });
+    }
+
+    const failed = [];
+    let deleted = 0;
+    if (apply) {
+        for (const orphan of orphans) {
+            try {
+                await storage.delete(orphan.key);
+                deleted++;
+            } catch (error) {
+                failed.push({ key: orphan.key, error: error.message || String(error) });
+            }
+        }
+    }
+
+    return {
+        mode: apply ? 'apply' : 'dry-run',
+        storageBackend: storage.name,
+        minAgeHours,
+        scanned: keys.length,
+        referenced: referenced.size,
+        orphans,
+        skippedRecent,
+        deleted,
+        failed,
+        finishedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    DEFAULT_MIN_AGE_HOURS,
+    getReferencedKeys,
+    cleanupOrphanedDocuments
+};
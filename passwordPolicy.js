@@ -0,0 +1,50 @@
+// passwordPolicy.js
+
+// bcrypt only uses the first 72 bytes of a password, so longer ones are rejected
+const PASSWORD_POLICY = Object.freeze({
+    minLength: 8,
+    maxBytes: 72,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireDigit: true
+});
+
+const PASSWORD_POLICY_DESCRIPTION =
+    `Passwords must be at least ${PASSWORD_POLICY.minLength} characters long and contain an uppercase letter, a lowercase letter and a number.`;
+
+/**
+ * Validates a password against the shared password policy.
+ * @param {string} password - The candidate password.
+ * @returns {{valid: boolean, errors: string[]}} - Every rule the password breaks.
+ */
+function validatePassword(password) {
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length === 0) {
+        return { valid: false, errors: ["Password is required."] };
+    }
+
+    if (password.length < PASSWORD_POLICY.minLength) {
+        errors.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters long.`);
+    }
+    if (Buffer.byteLength(password, 'utf8') > PASSWORD_POLICY.maxBytes) {
+        errors.push(`Password must be at most ${PASSWORD_POLICY.maxBytes} bytes long.`);
+    }
+    if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+        errors.push("Password must contain an uppercase letter.");
+    }
+    if (PASSWORD_POLICY.requireLowercase && !/[a-z]/.test(password)) {
+        errors.push("Password must contain a lowercase letter.");
+    }
+    if (PASSWORD_POLICY.requireDigit && !/[0-9]/.test(password)) {
+        errors.push("Password must contain a number.");
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+    PASSWORD_POLICY,
+    PASSWORD_POLICY_DESCRIPTION,
+    validatePassword
+};
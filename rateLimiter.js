@@ -0,0 +1,252 @@
+// rateLimiter.js
+
+/**
+ * Rate limiting and login lockout for the public auth endpoints.
+ *
+ * Counters live in a store with a fixed-window counter per key. Every store has the same shape:
+ *
+ *   name                          - 'mongo' | 'memory'
+ *   increment(key, windowMs)      - resolves { count, resetAt } after adding one hit
+ *   get(key)                      - resolves { count, resetAt, lockedUntil } or null
+ *   lock(key, until)              - marks the key locked until a Date
+ *   reset(key)                    - forgets the key
+ *
+ * RATE_LIMIT_STORE selects the store (default: mongo). The MongoDB store keeps
+ * limits across restarts and instances; the memory store is for development.
+ */
+const RATE_LIMIT_COLLECTION = 'rate_limits';
+
+const MINUTE_MS = 60 * 1000;
+
+// --- Progressive login lockout ---
+// After LOCKOUT_THRESHOLD failures the account is locked, and each further failure doubles the lock
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 1 * MINUTE_MS;
+const LOCKOUT_MAX_MS = 60 * MINUTE_MS;
+// Failures older than this are forgotten
+const LOCKOUT_WINDOW_MS = 24 * 60 * MINUTE_MS;
+
+// --- MONGODB ---
+
+/**
+ * MongoDB store. Each key is one document; expired windows are reset
+ * atomically on the next hit and removed by a TTL index.
+ * @param {Function} getCollection - Returns the rate_limits collection (set once MongoDB is connected).
+ */
+function createMongoRateLimitStore(getCollection) {
+    return {
+        name: 'mongo',
+
+        async increment(key, windowMs) {
+            const now = new Date();
+            const windowOpen = { $gt: ['$resetAt', now] };
+            const record = await getCollection().findOneAndUpdate(
+                { _id: key },
+                [{
+                    $set: {
+                        count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+                        resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+                    }
+                }, {
+                    // Kept until both the window and any lock are over
+                    $set: { expiresAt: { $max: ['$resetAt', { $ifNull: ['$lockedUntil', '$resetAt'] }] } }
+                }],
+                { upsert: true, returnDocument: 'after' }
+            );
+            return { count: record.count, resetAt: record.resetAt };
+        },
+
+        async get(key) {
+            const record = await getCollection().findOne({ _id: key });
+            if (!record || (record.resetAt <= new Date() && !(record.lockedUntil > new Date()))) return null;
+            return { count: record.count, resetAt: record.resetAt, lockedUntil: record.lockedUntil || null };
+        },
+
+        async lock(key, until) {
+            await getCollection().updateOne(
+                { _id: key },
+                [{ $set: { lockedUntil: until, expiresAt: { $max: ['$resetAt', until] } } }]
+            );
+        },
+
+        async reset(key) {
+            await getCollection().deleteOne({ _id: key });
+        }
+    };
+}
+
+/**
+ * Creates the TTL index that removes finished windows.
+ * @param {import('mongodb').Collection} collection - rate_limits.
+ */
+async function ensureRateLimitIndexes(collection) {
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+// --- MEMORY ---
+
+/**
+ * In-process store for development. Limits reset on restart and are not
+ * shared between instances.
+ */
+function createMemoryRateLimitStore() {
+    const records = new Map();
+    const isLive = (record, now) => record && (record.resetAt > now || record.lockedUntil > now);
+
+    const sweep = setInterval(() => {
+        const now = new Date();
+        for (const [key, record] of records) if (!isLive(record, now)) records.delete(key);
+    }, MINUTE_MS);
+    sweep.unref();
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowMs) {
+            const now = new Date();
+            let record = records.get(key);
+            if (!record || record.resetAt <= now) {
+                record = { count: 0, resetAt: new Date(now.getTime() + windowMs), lockedUntil: record?.lockedUntil || null };
+                records.set(key, record);
+            }
+            record.count++;
+            return { count: record.count, resetAt: record.resetAt };
+        },
+
+        async get(key) {
+            const record = records.get(key);
+            if (!isLive(record, new Date())) return null;
+            return { ...record };
+        },
+
+        async lock(key, until) {
+            const record = records.get(key);
+            if (record) record.lockedUntil = until;
+        },
+
+        async reset(key) {
+            records.delete(key);
+        }
+    };
+}
+
+/**
+ * Builds the store selected by RATE_LIMIT_STORE.
+ * @param {Function} getCollection - Returns the MongoDB rate_limits collection.
+ */
+function createRateLimitStoreFromEnv(getCollection) {
+    const backend = process.env.RATE_LIMIT_STORE || 'mongo';
+    switch (backend) {
+        case 'mongo':
+            return createMongoRateLimitStore(getCollection);
+        case 'memory':
+            console.warn("⚠️ RATE_LIMIT_STORE=memory: limits are per process and reset on restart. Use only in development.");
+            return createMemoryRateLimitStore();
+        default:
+            throw new Error(`CRITICAL: Unknown RATE_LIMIT_STORE "${backend}". Use mongo or memory.`);
+    }
+}
+
+// --- MIDDLEWARE ---
+
+const normalizeEmail = (email) => (typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null);
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+function tooManyRequests(res, message, retryAt) {
+    const retryAfterSeconds = secondsUntil(retryAt);
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ success: false, message, retryAfterSeconds });
+}
+
+/**
+ * Builds middleware limiting one route by client IP and by the `email` in the body.
+ * A store error never blocks a request: if the store is down the request goes through.
+ * @param {Object} store - A rate limit store.
+ * @param {Object} options
+ * @param {string} options.name - Route name, part of every key.
+ * @param {number} options.windowMs - Window length.
+ * @param {number} [options.maxPerIp] - Requests per window from one IP.
+ * @param {number} [options.maxPerEmail] - Requests per window for one email address.
+ * @param {string} [options.message] - Sent with the 429.
+ * @returns {Function} - Express middleware.
+ */
+function rateLimit(store, { name, windowMs, maxPerIp, maxPerEmail, message = "Too many requests. Please try again later." }) {
+    return async (req, res, next) => {
+        const limits = [];
+        if (maxPerIp) limits.push({ key: `${name}:ip:${req.ip}`, max: maxPerIp });
+        const email = normalizeEmail(req.body?.email);
+        if (maxPerEmail && email) limits.push({ key: `${name}:email:${email}`, max: maxPerEmail });
+
+        try {
+            const counters = await Promise.all(limits.map((limit) => store.increment(limit.key, windowMs)));
+            const exceeded = counters
+                .filter((counter, index) => counter.count > limits[index].max)
+                .sort((a, b) => b.resetAt - a.resetAt)[0];
+            if (exceeded) return tooManyRequests(res, message, exceeded.resetAt);
+        } catch (error) {
+            console.error(`Rate limit store error (${name}), allowing request:`, error.message);
+        }
+        next();
+    };
+}
+
+/**
+ * Progressive lockout after repeated failed logins for one email address.
+ * @param {Object} store - A rate limit store.
+ * @returns {{getLockedUntil: Function, recordFailure: Function, recordSuccess: Function}}
+ */
+function createLoginLockout(store) {
+    const keyFor = (email) => `login-failures:${normalizeEmail(email)}`;
+
+    // Like rateLimit, a store outage never blocks logins
+    const failOpen = (action, fallback) => (error) => {
+        console.error(`Login lockout store error (${action}):`, error.message);
+        return fallback;
+    };
+
+    return {
+        /**
+         * @param {string} email
+         * @returns {Promise<Date|null>} - When the lock ends, or null if not locked.
+         */
+        async getLockedUntil(email) {
+            const record = await store.get(keyFor(email)).catch(failOpen('get', null));
+            return record?.lockedUntil && record.lockedUntil > new Date() ? record.lockedUntil : null;
+        },
+
+        /**
+         * Counts a failed login and locks the account once the threshold is reached.
+         * @param {string} email
+         * @returns {Promise<Date|null>} - The new lock end, if the account is now locked.
+         */
+        async recordFailure(email) {
+            try {
+                const { count } = await store.increment(keyFor(email), LOCKOUT_WINDOW_MS);
+                if (count < LOCKOUT_THRESHOLD) return null;
+
+                const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+                const lockedUntil = new Date(Date.now() + lockMs);
+                await store.lock(keyFor(email), lockedUntil);
+                return lockedUntil;
+            } catch (error) {
+                return failOpen('recordFailure', null)(error);
+            }
+        },
+
+        /** Clears the failure count after a successful login. */
+        async recordSuccess(email) {
+            await store.reset(keyFor(email)).catch(failOpen('recordSuccess'));
+        }
+    };
+}
+
+module.exports = {
+    RATE_LIMIT_COLLECTION,
+    createMongoRateLimitStore,
+    createMemoryRateLimitStore,
+    createRateLimitStoreFromEnv,
+    ensureRateLimitIndexes,
+    rateLimit,
+    createLoginLockout,
+    tooManyRequests
+};
@@ -0,0 +1,111 @@
+// resubmissionRequests.js
+
+const { DOCUMENT_TYPES, checkDocument } = require('./documentCatalog');
+const { isFinalStatus } = require('./applicationStatus');
+
+/**
+ * Reviewers flag documents that must be uploaded again. Requests are stored on
+ * the application as `resubmissionRequests.{docType}`:
+ *
+ *   requested → submitted (student uploaded to resubmission_files)
+ *   submitted → accepted (promoted into applications_files) | requested (rejected, upload again)
+ *
+ * Students can only upload documents with an open (requested/submitted) request.
+ */
+const RESUBMISSION_FILES_COLLECTION = 'resubmission_files';
+
+const RESUBMISSION_STATES = Object.freeze({
+    REQUESTED: 'requested',
+    SUBMITTED: 'submitted',
+    ACCEPTED: 'accepted'
+});
+
+const OPEN_STATES = Object.freeze([RESUBMISSION_STATES.REQUESTED, RESUBMISSION_STATES.SUBMITTED]);
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Validates the documents a reviewer wants resubmitted.
+ * @param {string} scholarshipType - The application's scholarship.
+ * @param {Object[]} documents - [{ docType, note, dueDate }].
+ * @param {Object} [program] - The scholarship_programs document (see documentCatalog.getRequirements).
+ * @param {Date} [now] - Reference time for the due date check.
+ * @returns {{errors: string[], requests: Object[]}} - [{ docType, note, dueAt (Date) }].
+ */
+function validateResubmissionInput(scholarshipType, documents, program, now = new Date()) {
+    if (!Array.isArray(documents) || documents.length === 0) {
+        return { errors: ["documents must be a non-empty array of { docType, note, dueDate }."], requests: [] };
+    }
+
+    const errors = [];
+    const requests = [];
+    const seen = new Set();
+
+    documents.forEach((document, index) => {
+        const { docType, note, dueDate } = document || {};
+        const catalogProblem = docType ? checkDocument(scholarshipType, docType, undefined, program) : `documents[${index}].docType is required.`;
+        if (catalogProblem) return errors.push(catalogProblem);
+        if (seen.has(docType)) return errors.push(`${docType} is listed more than once.`);
+        seen.add(docType);
+
+        if (!note || typeof note !== 'string' || !note.trim()) {
+            return errors.push(`${docType}: a note telling the student what to fix is required.`);
+        }
+
+        const dueAt = new Date(dueDate);
+        if (!dueDate || Number.isNaN(dueAt.getTime())) return errors.push(`${docType}: dueDate must be a valid date.`);
+        if (dueAt <= now) return errors.push(`${docType}: dueDate must be in the future.`);
+
+        requests.push({ docType, note: note.trim().slice(0, MAX_NOTE_LENGTH), dueAt });
+    });
+
+    return { errors, requests };
+}
+
+/**
+ * Checks whether a student may upload a document for an application.
+ * @param {Object} application - scholarship_applications document data.
+ * @param {string} docType - The document being uploaded.
+ * @param {Date} [now] - Reference time.
+ * @returns {string|null} - Why the upload is refused, or null if it is allowed.
+ */
+function getResubmissionUploadProblem(application, docType, now = new Date()) {
+    if (isFinalStatus(application.status)) {
+        return `This application is ${application.status}; documents can no longer be uploaded.`;
+    }
+
+    const request = application.resubmissionRequests?.[docType];
+    if (!request || !OPEN_STATES.includes(request.state)) {
+        return `${DOCUMENT_TYPES[docType]?.label || docType} was not requested for resubmission.`;
+    }
+
+    const dueAt = typeof request.dueAt?.toDate === 'function' ? request.dueAt.toDate() : new Date(request.dueAt);
+    if (dueAt < now) {
+        return `The resubmission deadline for ${DOCUMENT_TYPES[docType]?.label || docType} has passed. Please contact the scholarship office.`;
+    }
+    return null;
+}
+
+/**
+ * Lists the requests a student still has to act on.
+ * @param {Object} application - scholarship_applications document data.
+ * @returns {Object[]} - [{ docType, label, note, dueAt (ISO), state }].
+ */
+function getOpenResubmissionRequests(application) {
+    return Object.entries(application.resubmissionRequests || {})
+        .filter(([, request]) => OPEN_STATES.includes(request.state))
+        .map(([docType, request]) => ({
+            docType,
+            label: DOCUMENT_TYPES[docType]?.label || docType,
+            note: request.note,
+            dueAt: typeof request.dueAt?.toDate === 'function' ? request.dueAt.toDate().toISOString() : request.dueAt,
+            state: request.state
+        }));
+}
+
+module.exports = {
+    RESUBMISSION_FILES_COLLECTION,
+    RESUBMISSION_STATES,
+    validateResubmissionInput,
+    getResubmissionUploadProblem,
+    getOpenResubmissionRequests
+};
@@ -0,0 +1,68 @@
+// roles.js
+
+/**
+ * Roles a portal account can hold. The role is stored twice: as the `role`
+ * field of the MongoDB `students` record and as a Firebase custom claim.
+ * Both must agree for a request to be authorized.
+ */
+const ROLES = Object.freeze({
+    STUDENT: 'student',
+    REVIEWER: 'reviewer',
+    ADMIN: 'admin'
+});
+
+/**
+ * Permissions checked by the route middleware. Each protected route asks
+ * for exactly one of these.
+ */
+const PERMISSIONS = Object.freeze({
+    APPLICATIONS_REVIEW: 'applications:review',
+    APPLICATIONS_EXPORT: 'applications:export',
+    NOTIFICATIONS_SEND: 'notifications:send',
+    NOTIFICATIONS_MANAGE: 'notifications:manage',
+    EMAIL_TEMPLATES_PREVIEW: 'email-templates:preview',
+    STUDENTS_DELETE: 'students:delete',
+    STUDENTS_DATA_EXPORT: 'students:data-export',
+    PROGRAMS_MANAGE: 'programs:manage',
+    ROLES_MANAGE: 'roles:manage',
+    ACCOUNTS_RECONCILE: 'accounts:reconcile'
+});
+
+// --- Role → Permission Table ---
+const ROLE_PERMISSIONS = Object.freeze({
+    [ROLES.STUDENT]: [],
+    [ROLES.REVIEWER]: [
+        PERMISSIONS.APPLICATIONS_REVIEW,
+        PERMISSIONS.NOTIFICATIONS_SEND,
+        PERMISSIONS.EMAIL_TEMPLATES_PREVIEW
+    ],
+    [ROLES.ADMIN]: Object.values(PERMISSIONS)
+});
+
+/**
+ * Checks whether a value is one of the known roles.
+ * @param {string} role - The role name to check.
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+    return Object.values(ROLES).includes(role);
+}
+
+/**
+ * Checks whether a role grants the given permission.
+ * @param {string} role - The role name (e.g., 'reviewer').
+ * @param {string} permission - One of PERMISSIONS.
+ * @returns {boolean}
+ */
+function roleHasPermission(role, permission) {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    isValidRole,
+    roleHasPermission
+};
@@ -0,0 +1,182 @@
+// scholarshipPrograms.js
+
+const { validateAwardRules } = require('./awardRules');
+const { DOCUMENT_TYPES, getRequirements } = require('./documentCatalog');
+
+// MongoDB collection holding one document per scholarship program.
+// A program's `name` is the `scholarshipType` stored on applications.
+// `requiredDocuments` / `optionalDocuments` list its docTypes (see documentCatalog.js).
+const PROGRAMS_COLLECTION = 'scholarship_programs';
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+/**
+ * Reads a date field from admin input.
+ * @returns {Date|null|undefined} - undefined if absent, null if invalid.
+ */
+function parseDate(value) {
+    if (value === undefined) return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function parseStringList(value) {
+    if (!Array.isArray(value)) return null;
+    return value.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Validates the document lists of a program.
+ * @returns {string[]} - Errors; empty if both lists are valid.
+ */
+function validateDocumentLists(requiredDocuments, optionalDocuments) {
+    const errors = [];
+    const seen = new Set();
+
+    for (const [field, list] of [['requiredDocuments', requiredDocuments], ['optionalDocuments', optionalDocuments]]) {
+        if (!list) {
+            errors.push(`${field} must be an array of document types.`);
+            continue;
+        }
+        for (const docType of list) {
+            if (!Object.hasOwn(DOCUMENT_TYPES, docType)) errors.push(`${field}: unknown document type "${docType}".`);
+            else if (seen.has(docType)) errors.push(`${docType} is listed more than once.`);
+            seen.add(docType);
+        }
+    }
+    if (requiredDocuments?.length === 0) errors.push("requiredDocuments must list at least one document type.");
+
+    return errors;
+}
+
+/**
+ * Validates admin input for creating or updating a program.
+ * @param {Object} input - Request body.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Update mode: only fields present are validated.
+ * @returns {{errors: string[], program: Object}} - The normalized fields to store.
+ */
+function validateProgramInput(input, { partial = false } = {}) {
+    const errors = [];
+    const program = {};
+
+    if (input.name !== undefined || !partial) {
+        if (typeof input.name !== 'string' || !input.name.trim()) errors.push("name is required.");
+        else program.name = input.name.trim();
+    }
+
+    if (input.description !== undefined) {
+        program.description = input.description ? String(input.description) : '';
+    } else if (!partial) {
+        program.description = '';
+    }
+
+    // An empty list means "no restriction"
+    for (const field of ['eligibleCourses', 'eligibleYearLevels']) {
+        if (input[field] !== undefined) {
+            const list = parseStringList(input[field]);
+            if (!list) errors.push(`${field} must be an array of strings.`);
+            else program[field] = list;
+        } else if (!partial) {
+            program[field] = [];
+        }
+    }
+
+    // Both lists are replaced together so a document cannot end up required and optional at once.
+    // New programs without lists start from the catalog defaults for their name.
+    if (input.requiredDocuments !== undefined || input.optionalDocuments !== undefined) {
+        if (partial && (input.requiredDocuments === undefined || input.optionalDocuments === undefined)) {
+            errors.push("requiredDocuments and optionalDocuments must be sent together.");
+        } else {
+            const requiredDocuments = parseStringList(input.requiredDocuments);
+            const optionalDocuments = input.optionalDocuments === undefined ? [] : parseStringList(input.optionalDocuments);
+            const listErrors = validateDocumentLists(requiredDocuments, optionalDocuments);
+            if (listErrors.length > 0) errors.push(...listErrors);
+            else Object.assign(program, { requiredDocuments, optionalDocuments });
+        }
+    } else if (!partial && program.name) {
+        const { required, optional } = getRequirements(program.name);
+        Object.assign(program, { requiredDocuments: [...required], optionalDocuments: [...optional] });
+    }
+
+    if (input.applicationWindow !== undefined || !partial) {
+        const opensAt = parseDate(input.applicationWindow?.opensAt);
+        const closesAt = parseDate(input.applicationWindow?.closesAt);
+
+        if (!opensAt || !closesAt) {
+            errors.push("applicationWindow.opensAt and applicationWindow.closesAt must be valid dates.");
+        } else if (opensAt >= closesAt) {
+            errors.push("applicationWindow.opensAt must be before applicationWindow.closesAt.");
+        } else {
+            program.applicationWindow = { opensAt, closesAt };
+        }
+    }
+
+    // Optional: without rules no award is calculated on approval (see awardRules.js)
+    if (input.awardRules !== undefined && input.awardRules !== null) {
+        const awardCheck = validateAwardRules(input.awardRules);
+        if (awardCheck.errors.length > 0) errors.push(...awardCheck.errors);
+        else program.awardRules = awardCheck.rules;
+    } else if (input.awardRules === null || !partial) {
+        program.awardRules = null;
+    }
+
+    if (input.isActive !== undefined) {
+        if (typeof input.isActive !== 'boolean') errors.push("isActive must be true or false.");
+        else program.isActive = input.isActive;
+    } else if (!partial) {
+        program.isActive = true;
+    }
+
+    return { errors, program };
+}
+
+/**
+ * Checks whether a program is accepting applications.
+ * @param {Object} program - Program document.
+ * @param {Date} [now] - Reference time.
+ * @returns {boolean}
+ */
+function isProgramOpen(program, now = new Date()) {
+    const { opensAt, closesAt } = program.applicationWindow || {};
+    return Boolean(program.isActive && opensAt && closesAt && opensAt <= now && now <= closesAt);
+}
+
+/**
+ * Lists why a student is not eligible for a program.
+ * @param {Object} program - Program document.
+ * @param {Object} student - Student record from MongoDB (course, yearLevel).
+ * @returns {string[]} - Empty if the student is eligible.
+ */
+function getEligibilityProblems(program, student) {
+    const problems = [];
+
+    if (program.eligibleCourses?.length > 0 &&
+        !program.eligibleCourses.some((course) => normalize(course) === normalize(student.course ?? ''))) {
+        problems.push(`The ${program.name} is only open to: ${program.eligibleCourses.join(', ')}.`);
+    }
+    if (program.eligibleYearLevels?.length > 0 &&
+        !program.eligibleYearLevels.some((level) => normalize(level) === normalize(student.yearLevel ?? ''))) {
+        problems.push(`The ${program.name} is only open to year levels: ${program.eligibleYearLevels.join(', ')}.`);
+    }
+
+    return problems;
+}
+
+/**
+ * Shapes a program document for API responses.
+ * @param {Object} program - Program document from MongoDB.
+ * @returns {Object}
+ */
+function toProgramResponse(program) {
+    const { _id, ...fields } = program;
+    return { id: _id.toString(), ...fields, isOpen: isProgramOpen(program) };
+}
+
+module.exports = {
+    PROGRAMS_COLLECTION,
+    validateProgramInput,
+    isProgramOpen,
+    getEligibilityProblems,
+    toProgramResponse
+};
@@ -0,0 +1,31 @@
+// scripts/backfillSearchKeywords.js
+// Reports (and with --apply, writes) missing or stale searchKeywords on stored applications,
+// so the admin search (q) also finds applications submitted before keywords were stored.
+// Usage: npm run backfill-search -- [--apply] [--json]
+// Needs the same environment as the server (FIREBASE_SERVICE_ACCOUNT). Safe to run again.
+
+const { backfillSearchKeywords } = require('../applicationSearch');
+
+async function main() {
+    const apply = process.argv.includes('--apply');
+    const asJson = process.argv.includes('--json');
+
+    const report = await backfillSearchKeywords({ apply });
+
+    if (asJson) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`🔎 Search keyword backfill (${report.mode})`);
+        console.log(`   Scanned: ${report.scanned} application(s), ${report.outdated} without up-to-date keywords`);
+        if (apply) console.log(`   Updated: ${report.updated}, failed: ${report.failed.length}`);
+        for (const failure of report.failed.slice(0, 20)) console.error(`   ❌ ${failure.applicationId}: ${failure.error}`);
+        if (report.failed.length > 20) console.error(`   … and ${report.failed.length - 20} more`);
+    }
+
+    process.exitCode = report.failed.length > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+    console.error("❌ Search keyword backfill failed:", error);
+    process.exit(1);
+});
@@ -0,0 +1,55 @@
+// scripts/cleanupOrphanedDocuments.js
+// Reports (and with --apply, deletes) stored documents that no application refers to.
+// Usage: npm run cleanup-orphans -- [--apply] [--json] [--min-age-hours=24]
+// Needs the same environment as the server (FIREBASE_SERVICE_ACCOUNT, STORAGE_BACKEND and its settings).
+
+const cloudinary = require('cloudinary').v2;
+const { createStorageFromEnv } = require('../storageService');
+const { DEFAULT_MIN_AGE_HOURS, cleanupOrphanedDocuments } = require('../orphanedDocuments');
+
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true,
+});
+
+function readMinAgeHours() {
+    const option = process.argv.find((arg) => arg.startsWith('--min-age-hours='));
+    if (!option) return DEFAULT_MIN_AGE_HOURS;
+
+    const hours = Number(option.split('=')[1]);
+    if (!Number.isFinite(hours) || hours < 1) {
+        console.error("❌ --min-age-hours must be a number of at least 1.");
+        process.exit(1);
+    }
+    return hours;
+}
+
+async function main() {
+    const apply = process.argv.includes('--apply');
+    const asJson = process.argv.includes('--json');
+    const minAgeHours = readMinAgeHours();
+
+    const storage = createStorageFromEnv({ cloudinary });
+    const report = await cleanupOrphanedDocuments({ storage, minAgeHours, apply });
+
+    if (asJson) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`🧹 Orphaned document cleanup (${report.mode}, ${report.storageBackend})`);
+        console.log(`   Scanned: ${report.scanned} stored file(s), ${report.referenced} referenced by applications`);
+        console.log(`   Orphaned: ${report.orphans.length} (skipped ${report.skippedRecent} newer than ${minAgeHours}h)`);
+        for (const orphan of report.orphans.slice(0, 20)) console.log(`     - ${orphan.key} (${orphan.uploadedAt})`);
+        if (report.orphans.length > 20) console.log(`     … and ${report.orphans.length - 20} more`);
+        if (apply) console.log(`   Deleted: ${report.deleted}, failed: ${report.failed.length}`);
+        for (const failure of report.failed) console.error(`   ❌ ${failure.key}: ${failure.error}`);
+    }
+
+    process.exitCode = report.failed.length > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+    console.error("❌ Orphaned document cleanup failed:", error);
+    process.exit(1);
+});
@@ -0,0 +1,51 @@
+// scripts/reconcileIdentities.js
+// Reports (and with --apply, repairs) drift between MongoDB students, Firebase Auth and Firestore.
+// Usage: npm run reconcile -- [--apply] [--json]
+// Needs the same environment as the server (MONGO_URI, FIREBASE_SERVICE_ACCOUNT).
+
+const { MongoClient } = require('mongodb');
+const { MONGO_URI, DB_NAME, STUDENTS_COLLECTION } = require('../mongoConfig');
+const { reconcileIdentities } = require('../identityReconciliation');
+
+async function main() {
+    const apply = process.argv.includes('--apply');
+    const asJson = process.argv.includes('--json');
+
+    if (!MONGO_URI) {
+        console.error("❌ MONGO_URI not set.");
+        process.exit(1);
+    }
+
+    const client = new MongoClient(MONGO_URI);
+    try {
+        await client.connect();
+        const studentsCollection = client.db(DB_NAME).collection(STUDENTS_COLLECTION);
+        const report = await reconcileIdentities({ studentsCollection, apply });
+
+        if (asJson) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            console.log(`🔁 Identity reconciliation (${report.mode})`);
+            console.log(`   Scanned: ${report.scanned.mongo} MongoDB, ${report.scanned.auth} Auth, ${report.scanned.firestore} Firestore`);
+            for (const [category, count] of Object.entries(report.counts)) {
+                if (count === 0) continue;
+                const manual = report.manualCategories.includes(category) ? ' (manual review)' : '';
+                console.log(`   ${category}: ${count}${manual}`);
+                for (const issue of report.issues[category].slice(0, 10)) {
+                    console.log(`     - ${issue.uid} ${issue.email || ''} ${Object.keys(issue.details).length ? JSON.stringify(issue.details) : ''}`);
+                }
+            }
+            if (apply) console.log(`   Repaired: ${report.repaired} student(s), failed: ${report.failed.length}`);
+            for (const failure of report.failed) console.error(`   ❌ ${failure.uid}: ${failure.error}`);
+        }
+
+        process.exitCode = report.failed.length > 0 ? 1 : 0;
+    } finally {
+        await client.close();
+    }
+}
+
+main().catch((error) => {
+    console.error("❌ Reconciliation failed:", error);
+    process.exit(1);
+});
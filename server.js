@@ -6,7 +6,7 @@ const bcrypt = require('bcrypt');
 // 🎯 SECURE IMPORT: Firebase Admin SDK
 const admin = require('./firebaseAdmin');
 
-// ☁️ CLOUDINARY CONFIGURATION: READING FROM ENV VARIABLES
+// ☁️ CLOUDINARY CONFIGURATION: READING FROM ENV VARIABLES (used when STORAGE_BACKEND=cloudinary)
 const cloudinary = require('cloudinary').v2;
 
 cloudinary.config({
@@ -17,32 +17,193 @@ cloudinary.config({
     secure: true,
 });
 
+// 🗄️ Document storage backend (Cloudinary, local filesystem or S3-compatible)
+const { buildDocumentKey, getKeyOwner, createStorageFromEnv } = require('./storageService');
+const storage = createStorageFromEnv({ cloudinary });
+
 // ✅ Email service functions
 const {
     generateVerificationCode,
     sendCustomVerificationCodeEmail,
+    sendPasswordResetCodeEmail,
+    sendEmailChangeCodeEmail,
+    sendEmailChangedNotice,
     sendApplicationStatusEmail
 } = require('./emailService');
 
+// 📋 Application status state machine
+const {
+    APPLICATION_STATUSES,
+    isValidStatus,
+    getNextStatuses,
+    canTransition,
+    isFinalStatus
+} = require('./applicationStatus');
+
+// 🧾 Per-application audit trail
+const {
+    HISTORY_ENTRY_TYPES,
+    buildActor,
+    recordHistoryEntry,
+    getApplicationHistory,
+    toStudentSafeEntry
+} = require('./auditTrail');
+
+// ✉️ Email templates (bilingual, escaped, with preview)
+const { resolveLocale, listTemplates, parsePreviewOverrides, renderTemplatePreview } = require('./emailTemplates');
+
+// 📬 Status notification outbox (queued in the status transaction, sent by a worker)
+const {
+    NOTIFICATION_STATES,
+    shouldNotifyStatus,
+    enqueueStatusNotification,
+    enqueueResubmissionNotification,
+    processDueNotifications,
+    startNotificationWorker,
+    listNotifications,
+    requeueNotification
+} = require('./notificationOutbox');
+
+// 🔒 Shared password policy (reset, forgot and change password)
+const { PASSWORD_POLICY_DESCRIPTION, validatePassword } = require('./passwordPolicy');
+
+// ⚠️ Errors that carry an HTTP status (thrown from transactions and helpers)
+const { createHttpError } = require('./httpError');
+
+// 📎 Upload validation (magic bytes allow-list, size limits, multipart streaming)
+const { parseMultipartUpload, decodeBase64Document, assertTotalSize } = require('./uploadValidation');
+
+// 📑 Required-document catalog per scholarship type
+const { DOCUMENT_TYPES, getRequirements, getDocumentChecklist, getChecklistStatus, checkDocument, checkSubmission } = require('./documentCatalog');
+
+// 🎓 Scholarship programs (windows and eligibility rules)
+const {
+    PROGRAMS_COLLECTION,
+    validateProgramInput,
+    isProgramOpen,
+    getEligibilityProblems,
+    toProgramResponse
+} = require('./scholarshipPrograms');
+
+// ✔️ Per-document verification verdicts
+const {
+    VERIFICATION_VERDICTS,
+    buildVerification,
+    validateVerdict,
+    applyVerification,
+    markDocumentsUnverified,
+    getUnverifiedRequiredDocuments
+} = require('./documentVerification');
+
+// 📄 Document resubmission requests (flagged by reviewers)
+const {
+    RESUBMISSION_FILES_COLLECTION,
+    RESUBMISSION_STATES,
+    validateResubmissionInput,
+    getResubmissionUploadProblem,
+    getOpenResubmissionRequests
+} = require('./resubmissionRequests');
+
+// 💰 Award calculation rules (attached to each scholarship program)
+const { calculateAward } = require('./awardRules');
+
+// 🔎 Admin application search (filters, sorting, cursor pagination)
+const {
+    buildSearchKeywords,
+    parseListQuery,
+    buildApplicationQuery,
+    toApplicationPage
+} = require('./applicationSearch');
+
+// 📤 Registrar exports (CSV / XLSX, streamed)
+const {
+    EXPORT_FORMATS,
+    parseExportOptions,
+    iterateApplicationsWithStudents,
+    writeApplicationExport
+} = require('./applicationExport');
+
+// 📊 Dashboard statistics (cached for a short time)
+const {
+    parseStatisticsQuery,
+    computeStatistics,
+    getCachedStatistics
+} = require('./applicationStatistics');
+
+// 🔁 MongoDB ↔ Firebase Auth ↔ Firestore identity reconciliation
+const { reconcileIdentities } = require('./identityReconciliation');
+
+// 🗑️ Data Privacy Act requests (full erasure, personal-data export)
+const { purgeStudentData, writeStudentDataExport } = require('./studentDataPrivacy');
+
+// 🔂 Idempotency-Key support (replayed submissions return the original response)
+const {
+    IDEMPOTENCY_COLLECTION,
+    ensureIdempotencyIndexes,
+    readIdempotencyKey,
+    beginIdempotentRequest,
+    completeIdempotentRequest,
+    releaseIdempotentRequest
+} = require('./idempotencyKeys');
+
+// 📅 Academic terms (one active application per student per term)
+const { getAcademicTerm, formatAcademicTerm, isActiveInTerm } = require('./academicTerms');
+
+// 🧬 Document content hashes (same file on different students' applications)
+const { findDuplicateDocuments, recordDocumentFingerprints, buildDuplicateFlags } = require('./documentFingerprints');
+
+// 🚦 Rate limiting and login lockout (MongoDB or in-memory counters)
+const {
+    RATE_LIMIT_COLLECTION,
+    createRateLimitStoreFromEnv,
+    ensureRateLimitIndexes,
+    rateLimit,
+    createLoginLockout,
+    tooManyRequests
+} = require('./rateLimiter');
+
+// 🔑 Email verification challenges (hashed code with attempt limit, single-use link)
+const {
+    VERIFICATION_CODE_TTL_MINUTES,
+    VERIFICATION_FIELDS,
+    EMAIL_CHANGE_FIELDS,
+    hashLinkToken,
+    createVerificationChallenge,
+    createEmailChangeChallenge,
+    checkVerificationCode,
+    checkEmailChangeCode
+} = require('./verificationCodes');
+
+// 🪪 Student profile (self-service edits; email changes are confirmed by code)
+const { parseProfileUpdate, parseEmailAddress, toProfileView } = require('./studentProfile');
+
+// 🛡️ Role definitions and per-route permissions
+const { ROLES, PERMISSIONS, isValidRole, roleHasPermission } = require('./roles');
+
 // --- 1. CORE EXPRESS INITIALIZATION ---
-// NOTE: Increased limit for handling large Base64 document strings
+// NOTE: Increased limit for handling large Base64 document strings.
+// Uploads should use multipart/form-data (streamed); the Base64 JSON path is deprecated.
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(express.json({ limit: '50mb' })); // ⬅️ IMPORTANT: Increase payload limit
 app.use(express.urlencoded({ limit: '50mb', extended: true })); // ⬅️ ADDED: For standard form submissions
 app.use(express.static('public'));
+// Render puts one proxy in front of the app; req.ip must be the client, not the proxy
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
 
 // 🎯 MongoDB CONFIG
-const uri = process.env.MONGO_URI;
-const DB_NAME = "scholarship_db";
-const STUDENTS_COLLECTION = "students";
-const APPLICATIONS_COLLECTION = "applications";
+const { MONGO_URI: uri, DB_NAME, STUDENTS_COLLECTION, APPLICATIONS_COLLECTION } = require('./mongoConfig');
 
 const saltRounds = 10;
+const PASSWORD_RESET_CODE_TTL_MINUTES = 15;
+const PASSWORD_RESET_MAX_ATTEMPTS = 5;
 const client = new MongoClient(uri);
 let studentsCollection;
 let applicationsCollection;
+let idempotencyCollection;
+let rateLimitCollection;
+let programsCollection;
 const firestoreDb = admin.firestore(); // Initialize Firestore instance
 
 // 🔑 Firebase Client Config
@@ -74,7 +235,8 @@ async function syncUserToFirebase(user) {
         lastName, 
         role, 
         course, 
-        yearLevel 
+        yearLevel,
+        preferredLanguage
     } = user;
 
     // --- 1. Firebase Auth Sync ---
@@ -103,6 +265,13 @@ async function syncUserToFirebase(user) {
         }
     }
 
+    // --- 1b. Role Claim Sync (MongoDB role is the source of truth) ---
+    try {
+        await setRoleClaim(firebaseUid, role || ROLES.STUDENT);
+    } catch (claimError) {
+        console.error("❌ Firebase role claim sync failed:", claimError);
+    }
+
     // --- 2. Firestore Sync ---
     try {
         // Use set with merge: true for upserting student data
@@ -115,6 +284,7 @@ async function syncUserToFirebase(user) {
             course,
             yearLevel,
             role,
+            preferredLanguage: resolveLocale(preferredLanguage),
             verifiedAt: user.isVerified ? admin.firestore.FieldValue.serverTimestamp() : null
         }, { merge: true });
         
@@ -126,48 +296,159 @@ async function syncUserToFirebase(user) {
     return firebaseUid;
 }
 
-// --- CLOUDINARY UPLOAD HELPER WITH PREVIEW FIX ---
 /**
- * Uploads a document (Base64 data) to Cloudinary and returns the URL.
- * @param {string} fileData - Base64 encoded file string.
+ * Writes the `role` custom claim on a Firebase Auth user, keeping any other claims.
+ * Skips the write when the claim already matches.
+ * @param {string} firebaseUid - The Firebase UID (same as studentNo).
+ * @param {string} role - The role to store in the claim.
+ */
+async function setRoleClaim(firebaseUid, role) {
+    const userRecord = await admin.auth().getUser(firebaseUid);
+    const existingClaims = userRecord.customClaims || {};
+    if (existingClaims.role === role) return;
+
+    await admin.auth().setCustomUserClaims(firebaseUid, { ...existingClaims, role });
+}
+
+/**
+ * Changes a user's role in MongoDB and in the Firebase custom claim together.
+ * If the claim cannot be written, the MongoDB change is rolled back.
+ * @param {string} studentNo - The student's UID.
+ * @param {string} newRole - One of ROLES.
+ * @returns {Promise<{previousRole: string, role: string}|null>} - Null if the student does not exist.
+ */
+async function assignRole(studentNo, newRole) {
+    const student = await studentsCollection.findOne({ studentNo }, { projection: { role: 1 } });
+    if (!student) return null;
+
+    const previousRole = student.role || ROLES.STUDENT;
+
+    await studentsCollection.updateOne({ studentNo }, { $set: { role: newRole, roleUpdatedAt: new Date() } });
+
+    try {
+        await setRoleClaim(studentNo, newRole);
+    } catch (error) {
+        // Keep both stores consistent: undo the MongoDB change
+        await studentsCollection.updateOne({ studentNo }, { $set: { role: previousRole } });
+        throw error;
+    }
+
+    // Force existing sessions to pick up the new claim on their next token refresh
+    await admin.auth().revokeRefreshTokens(studentNo);
+
+    try {
+        await firestoreDb.collection('students').doc(studentNo).set({ role: newRole }, { merge: true });
+    } catch (firestoreError) {
+        console.error("❌ Firestore role sync failed:", firestoreError);
+    }
+
+    return { previousRole, role: newRole };
+}
+
+/**
+ * Sets a new password in MongoDB (bcrypt hash) and Firebase Auth together.
+ * If Firebase Auth rejects the change, the previous MongoDB hash is restored.
+ * All existing sessions are revoked afterwards.
+ * @param {Object} user - The student record from MongoDB.
+ * @param {string} newPassword - The new plaintext password (already validated).
+ * @param {Object} [extraUnset] - Additional fields to clear in the same MongoDB update.
+ */
+async function updatePasswordEverywhere(user, newPassword, extraUnset = {}) {
+    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+    const mongoUpdate = { $set: { password: hashedPassword, passwordChangedAt: new Date() } };
+    if (Object.keys(extraUnset).length > 0) mongoUpdate.$unset = extraUnset;
+
+    await studentsCollection.updateOne({ studentNo: user.studentNo }, mongoUpdate);
+
+    try {
+        await admin.auth().updateUser(user.studentNo, { password: newPassword });
+    } catch (error) {
+        await studentsCollection.updateOne({ studentNo: user.studentNo }, { $set: { password: user.password } });
+        throw error;
+    }
+
+    await admin.auth().revokeRefreshTokens(user.studentNo);
+}
+
+// --- DOCUMENT UPLOAD HELPER (storage backend chosen by STORAGE_BACKEND) ---
+/**
+ * Uploads a document to the configured storage backend.
+ * @param {Buffer|import('stream').Readable} source - The (already validated) file content.
  * @param {string} userId - ID of the user (for folder organization).
  * @param {string} docType - Type of document (e.g., 'studentId', 'grades').
- * @returns {Promise<string>} - The secure Cloudinary URL.
+ * @param {string} contentType - The detected MIME type.
+ * @returns {Promise<{key: string, url: string, size: number}>} - Storage key and URL.
  */
-async function uploadDocumentToCloudinary(fileData, userId, docType) {
-    if (!fileData) throw new Error("File data is required for upload.");
-
-    const publicId = `${userId}/${docType}_${Date.now()}`;
-
-    // CRITICAL FIX: resource_type: 'auto' for in-browser previewing (PDFs, images)
-    const result = await cloudinary.uploader.upload(fileData, {
-        public_id: publicId,
-        folder: `application_documents/${userId}`,
-        resource_type: 'auto', 
-        overwrite: true,
-        quality: 'auto:low' 
-    });
-    
-    return result.secure_url;
+async function uploadDocument(source, userId, docType, contentType) {
+    if (!source) throw new Error("File data is required for upload.");
+
+    return storage.upload(source, { key: buildDocumentKey(userId, docType), contentType });
+}
+
+/**
+ * Checks whether a signed-in user may read a stored document: the owner,
+ * or staff whose role claim matches MongoDB and grants application review.
+ * @param {Object} decodedToken - `req.user` as set by verifyToken.
+ * @param {string} key - The storage key.
+ * @returns {Promise<boolean>}
+ */
+async function hasDocumentAccess(decodedToken, key) {
+    if (getKeyOwner(key) === decodedToken.uid) return true;
+    if (!roleHasPermission(decodedToken.role, PERMISSIONS.APPLICATIONS_REVIEW)) return false;
+
+    const staff = await studentsCollection.findOne({ studentNo: decodedToken.uid }, { projection: { role: 1 } });
+    return Boolean(staff) && staff.role === decodedToken.role;
 }
 
 /**
- * Saves the Cloudinary URL and metadata to the dedicated applications_files collection.
+ * Queues the storage URL and metadata write to the dedicated applications_files collection.
+ * @param {FirebaseFirestore.WriteBatch|FirebaseFirestore.Transaction} writer - Commits together with the application.
  */
-async function saveApplicationFilesToFirestore(applicationId, userId, documents) {
+function saveApplicationFilesToFirestore(writer, applicationId, userId, documents) {
     // CRITICAL FIX: The document key for the checklist must be the Application ID (applicationId)
     const fileDocRef = firestoreDb.collection('applications_files').doc(applicationId); 
     
-    await fileDocRef.set({
+    writer.set(fileDocRef, {
         userId: userId,
         documents: documents,
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
     }, { merge: true }); 
 }
 
+// Firestore Timestamps → ISO strings for JSON responses
+const toIsoString = (value) => (value && typeof value.toDate === 'function' ? value.toDate().toISOString() : value ?? null);
+
 // --- MIDDLEWARE ---
+
+// 🚦 Per-route limits for the public auth endpoints (counted per client IP and per email address)
+const rateLimitStore = createRateLimitStoreFromEnv(() => rateLimitCollection);
+const loginLockout = createLoginLockout(rateLimitStore);
+const MINUTE_MS = 60 * 1000;
+const authRateLimits = {
+    register: rateLimit(rateLimitStore, { name: 'register', windowMs: 60 * MINUTE_MS, maxPerIp: 10 }),
+    login: rateLimit(rateLimitStore, { name: 'login', windowMs: 15 * MINUTE_MS, maxPerIp: 30, maxPerEmail: 15 }),
+    verifyCode: rateLimit(rateLimitStore, { name: 'verify-code', windowMs: 15 * MINUTE_MS, maxPerIp: 20, maxPerEmail: 10 }),
+    verifyLink: rateLimit(rateLimitStore, { name: 'verify-link', windowMs: 15 * MINUTE_MS, maxPerIp: 20 }),
+    // Each resend sends an email, so these are the tightest
+    resendVerification: rateLimit(rateLimitStore, {
+        name: 'resend-verification', windowMs: 60 * MINUTE_MS, maxPerIp: 10, maxPerEmail: 3,
+        message: "Too many verification emails requested. Please wait before asking for another code."
+    }),
+    forgotPassword: rateLimit(rateLimitStore, {
+        name: 'forgot-password', windowMs: 60 * MINUTE_MS, maxPerIp: 10, maxPerEmail: 3,
+        message: "Too many reset codes requested. Please wait before asking for another code."
+    }),
+    resetPassword: rateLimit(rateLimitStore, { name: 'reset-password', windowMs: 15 * MINUTE_MS, maxPerIp: 20, maxPerEmail: 10 }),
+    // Signed-in, but every request sends a code to an address of the caller's choosing
+    emailChange: rateLimit(rateLimitStore, {
+        name: 'email-change', windowMs: 60 * MINUTE_MS, maxPerIp: 5,
+        message: "Too many email change requests. Please wait before asking for another code."
+    })
+};
+
 const checkDbConnection = (req, res, next) => {
-    if (!studentsCollection || !applicationsCollection) {
+    if (!studentsCollection || !applicationsCollection || !programsCollection) {
         return res.status(503).json({ success: false, message: "Server initializing or database unavailable." });
     }
     next();
@@ -194,11 +475,36 @@ const verifyToken = async (req, res, next) => {
     }
 };
 
-const verifyAdmin = async (req, res, next) => {
-    // ⚠️ SECURITY WARNING: This bypass must be replaced with a real token validation 
-    // In a real app, you would check req.user.role === 'admin' 
-    return next(); // Temporarily bypass for local admin testing
-};
+/**
+ * Builds middleware that requires a valid Firebase ID token whose `role` claim
+ * matches the MongoDB record and grants the given permission.
+ * @param {string} permission - One of PERMISSIONS.
+ * @returns {Function[]} - Middleware chain for the route.
+ */
+const requirePermission = (permission) => [verifyToken, async (req, res, next) => {
+    const claimedRole = req.user.role;
+    if (!claimedRole) {
+        return res.status(403).json({ success: false, message: 'No role assigned to this account.' });
+    }
+
+    try {
+        const student = await studentsCollection.findOne({ studentNo: req.user.uid }, { projection: { role: 1 } });
+
+        // A stale or forged claim must not outlive a role change in MongoDB
+        if (!student || (student.role || ROLES.STUDENT) !== claimedRole) {
+            return res.status(403).json({ success: false, message: 'Role mismatch. Please sign in again.' });
+        }
+
+        if (!roleHasPermission(claimedRole, permission)) {
+            return res.status(403).json({ success: false, message: 'Insufficient permissions for this action.' });
+        }
+
+        next();
+    } catch (error) {
+        console.error("Error checking role:", error);
+        return res.status(500).json({ success: false, message: 'Failed to verify permissions.' });
+    }
+}];
 
 // --- CORS FIX ---
 const allowedOrigins = [
@@ -220,7 +526,8 @@ app.use(cors({
             callback(new Error('Not allowed by CORS'), false); 
         }
     },
-    methods: ['GET', 'POST', 'OPTIONS', 'DELETE'],
+    methods: ['GET', 'POST', 'PUT', 'OPTIONS', 'DELETE'],
+    exposedHeaders: ['Idempotent-Replayed'],
     credentials: true
 }));
 // --- END CORS FIX ---
@@ -230,93 +537,167 @@ app.get('/', (req, res) => res.status(200).json({ message: "LOA ISKO API is runn
 
 app.get('/api/firebase-config', (req, res) => res.json(FIREBASE_CLIENT_CONFIG));
 
-// 7️⃣ UPDATED: DOCUMENT UPLOAD/RESUBMISSION ROUTE 
-app.post('/api/upload-document', verifyToken, async (req, res) => {
-    const { 
-        userId, 
-        fileData, 
-        docType, 
-        filename, 
-        mimeType,
-        // CRITICAL: Capture the collection name. If resubmitting, this should be "resubmission_files"
-        targetCollection = 'applications_files',
-        // Optional: Capture the Application ID if available (needed for initial checklist doc ID)
-        applicationId 
-    } = req.body;
+/**
+ * Checks the upload fields of /api/upload-document and works out where the file goes.
+ * Uploads are only accepted for documents a reviewer flagged for resubmission, and
+ * always go to resubmission_files/{applicationId}; the client cannot pick the collection.
+ * Runs before anything is uploaded.
+ * @param {Object} fields - Body fields (JSON) or text fields (multipart).
+ * @param {string} authenticatedUserId - UID from the verified token.
+ * @returns {Promise<{docType: string, targetCollection: string, docId: string}>}
+ * @throws {Error} - 400/403/404/409 HTTP errors.
+ */
+async function resolveDocumentUploadTarget(fields, authenticatedUserId) {
+    const { userId, docType } = fields;
 
     // Use the verified token's UID for security, not the body's userId
-    const authenticatedUserId = req.user.uid; 
-    
     if (authenticatedUserId !== userId) {
-            return res.status(403).json({ success: false, message: "Unauthorized access attempt for another user's files." });
+        throw createHttpError(403, "Unauthorized access attempt for another user's files.");
+    }
+    if (!userId || !docType) {
+        throw createHttpError(400, "Missing required file upload parameters.");
+    }
+    if (fields.targetCollection && fields.targetCollection !== RESUBMISSION_FILES_COLLECTION) {
+        console.warn(`Ignoring client targetCollection "${fields.targetCollection}" from ${userId}.`);
     }
 
-    if (!userId || !fileData || !docType) {
-        return res.status(400).json({ success: false, message: "Missing required file upload parameters." });
+    // Default to the student's current application
+    let { applicationId } = fields;
+    if (!applicationId) {
+        const tracker = await firestoreDb.collection('current_application').doc(userId).get();
+        applicationId = tracker.exists ? tracker.get('applicationId') : null;
     }
-    
-    // 🛑 CRITICAL FIX 1: Ensure Base64 is properly prefixed if it's not already.
-    let prefixedFileData = fileData;
-    if (!fileData.startsWith('data:')) {
-        // Assuming fileData is JUST the base64 content
-        const finalMimeType = mimeType || 'application/octet-stream';
-        prefixedFileData = `data:${finalMimeType};base64,${fileData}`;
+    if (!applicationId) throw createHttpError(404, "You have no application to upload documents for.");
+
+    const applicationSnapshot = await firestoreDb.collection('scholarship_applications').doc(applicationId).get();
+    if (!applicationSnapshot.exists || applicationSnapshot.get('userId') !== userId) {
+        throw createHttpError(404, "Application not found.");
     }
 
+    const problem = getResubmissionUploadProblem(applicationSnapshot.data(), docType);
+    if (problem) throw createHttpError(409, problem);
+
+    return { docType, targetCollection: RESUBMISSION_FILES_COLLECTION, docId: applicationId };
+}
+
+// 7️⃣ UPDATED: DOCUMENT RESUBMISSION ROUTE
+// Only documents flagged by a reviewer (see 3️⃣7️⃣) can be uploaded; new applications use 8️⃣.
+// Preferred: multipart/form-data with the text fields (userId, docType, applicationId, filename)
+// sent BEFORE a single file field named "file". applicationId defaults to the current application.
+// Deprecated fallback: JSON body with Base64 `fileData` (same validation applies).
+app.post('/api/upload-document', verifyToken, async (req, res) => {
+    const authenticatedUserId = req.user.uid;
+    let fields, target, upload;
+
+    try {
+        if (req.is('multipart/form-data')) {
+            const parsed = await parseMultipartUpload(req, async (fieldName, fileStream, info) => {
+                if (fieldName !== 'file') throw createHttpError(400, `Unexpected file field "${fieldName}". Send the document as "file".`);
+                if (target) throw createHttpError(400, "Only one file can be uploaded per request.");
+
+                target = await resolveDocumentUploadTarget(info.fields, authenticatedUserId);
+                const stored = await uploadDocument(fileStream, authenticatedUserId, target.docType, info.getDetectedType()?.mimeType);
+                return { ...stored, filename: info.filename, mimeType: info.getDetectedType().mimeType, size: info.getBytes(), contentHash: info.getContentHash() };
+            });
+            if (parsed.files.length === 0) throw createHttpError(400, "Missing required file upload parameters.");
+
+            fields = parsed.fields;
+            upload = parsed.files[0];
+        } else {
+            // ⚠️ DEPRECATED: Base64 inside JSON
+            res.set('Deprecation', 'true');
+            fields = req.body;
+            target = await resolveDocumentUploadTarget(fields, authenticatedUserId);
+
+            const { buffer, mimeType, contentHash } = decodeBase64Document(fields.fileData, target.docType);
+            const stored = await uploadDocument(buffer, authenticatedUserId, target.docType, mimeType);
+            upload = { ...stored, filename: fields.filename, mimeType, size: buffer.length, contentHash };
+        }
+    } catch (error) {
+        // A rejected multipart request may still have stored a file before it failed
+        await deleteStoredDocuments((error.uploadedFiles || []).map((file) => file.key));
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error(`💥 Storage upload failed for ${target?.docType}:`, error);
+        return res.status(500).json({
+            success: false,
+            message: `File upload failed for ${target?.docType || 'document'}. Server error.`,
+            errorDetails: error.message
+        });
+    }
+
+    const { docType, targetCollection, docId } = target;
+
     try {
-        const fileUrl = await uploadDocumentToCloudinary(prefixedFileData, userId, docType);
-        
         // Data structure to save to Firestore. 
         const documentInfo = {
-            url: fileUrl,
+            url: upload.url,
+            storageKey: upload.key,
+            storageBackend: storage.name,
             data: null, 
-            filename: filename || `${docType}_file`,
-            type: mimeType || 'image/jpeg', 
+            filename: upload.filename || fields.filename || `${docType}_file`,
+            // Detected from the file content, never taken from the client
+            type: upload.mimeType,
+            size: upload.size,
+            contentHash: upload.contentHash,
             uploadedAt: admin.firestore.FieldValue.serverTimestamp(),
             // CRITICAL: Mark as unverified upon re-upload
             verified: false, 
             adminNote: null, 
         };
-        
-        // 🏆 CRITICAL FIX 2: Determine the Firestore Document ID based on the target collection
-        let docId;
-
-        if (targetCollection === 'resubmission_files') {
-            // CRITICAL FIX: The document ID for resubmission_files MUST be the APPLICATION ID.
-            if (!applicationId) {
-                console.error("Missing Application ID for resubmission attempt by user:", userId);
-                return res.status(400).json({ success: false, message: "Missing Application ID for file resubmission." });
-            }
-            docId = applicationId;
-        } else if (targetCollection === 'applications_files') {
-            // For initial submission, use the Application ID if available, otherwise fallback to UID
-            docId = applicationId || userId;
-        } else {
-            // Default fallback
-            docId = userId;
-        }
 
+        const applicationRef = firestoreDb.collection('scholarship_applications').doc(docId);
         const fileDocRef = firestoreDb.collection(targetCollection).doc(docId);
 
-        // This will create a document with the structure { userId, documents: { docType: documentInfo } }
-        await fileDocRef.set({
-            userId: userId,
-            documents: {
-                [docType]: documentInfo
-            }
-        }, { merge: true });
+        // The request is re-checked in the transaction: it may have been closed while the file uploaded
+        const replacedKey = await firestoreDb.runTransaction(async (transaction) => {
+            const [applicationSnapshot, fileSnapshot] = await Promise.all([
+                transaction.get(applicationRef),
+                transaction.get(fileDocRef)
+            ]);
+            const problem = getResubmissionUploadProblem(applicationSnapshot.data() || {}, docType);
+            if (problem) throw createHttpError(409, problem);
+            const hashes = { [docType]: upload.contentHash };
+            const duplicates = await findDuplicateDocuments(transaction, { userId: authenticatedUserId, hashes });
+
+            // This will create a document with the structure { userId, documents: { docType: documentInfo } }
+            transaction.set(fileDocRef, {
+                userId: authenticatedUserId,
+                documents: {
+                    [docType]: documentInfo
+                }
+            }, { merge: true });
+            transaction.update(applicationRef, {
+                [`resubmissionRequests.${docType}.state`]: RESUBMISSION_STATES.SUBMITTED,
+                [`resubmissionRequests.${docType}.submittedAt`]: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            recordDocumentFingerprints(transaction, { applicationId: docId, userId: authenticatedUserId, hashes, duplicates });
+
+            // A file uploaded earlier for the same request was never accepted and is replaced
+            return fileSnapshot.exists ? fileSnapshot.get('documents')?.[docType]?.storageKey || null : null;
+        });
+
+        if (replacedKey && replacedKey !== upload.key) await deleteStoredDocuments([replacedKey]);
 
         console.log(`✅ File ${docType} uploaded and saved to Firestore collection: ${targetCollection} with Doc ID: ${docId}`);
 
         res.json({ 
             success: true, 
-            message: `${docType} uploaded successfully to ${targetCollection}.`,
+            message: `${docType} uploaded successfully. It will be reviewed by the scholarship office.`,
+            applicationId: docId,
             documentInfo: documentInfo
         });
 
     } catch (error) {
+        await deleteStoredDocuments([upload.key]);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+
         // 🔥 Server Error Logging
-        console.error(`💥 Cloudinary upload or Firestore update failed for ${docType}:`, error); 
+        console.error(`💥 Firestore update failed for ${docType}:`, error); 
         
         // Ensure this returns JSON 500 status to client
         res.status(500).json({ 
@@ -327,50 +708,243 @@ app.post('/api/upload-document', verifyToken, async (req, res) => {
     }
 });
 
-// 8️⃣ NEW: APPLICATION SUBMISSION ROUTE (Handles all data + uploads)
-app.post('/api/submit-application', verifyToken, async (req, res) => {
-    const { 
-        userId, 
-        studentId, 
-        applicationData, 
-        documents: documentsToUpload 
-    } = req.body;
-
-    const authenticatedUserId = req.user.uid; 
-    
+/**
+ * Checks that a submission belongs to the signed-in student.
+ * @throws {Error} - 403 HTTP error on mismatch.
+ */
+function assertSubmissionOwner({ userId, studentId }, authenticatedUserId) {
     // Check if the user ID from the token matches the ID sent in the request
     if (authenticatedUserId !== userId || authenticatedUserId !== studentId) {
-            return res.status(403).json({ success: false, message: "Unauthorized submission: User ID mismatch." });
+        throw createHttpError(403, "Unauthorized submission: User ID mismatch.");
     }
-    
-    if (!applicationData || !documentsToUpload) {
-        return res.status(400).json({ success: false, message: "Missing application data or documents." });
+}
+
+/**
+ * Parses the `applicationData` text field of a multipart submission.
+ * @param {string} [raw] - The JSON string sent by the client.
+ * @returns {Object|null} - Null if the field is missing.
+ * @throws {Error} - 400 HTTP error if the field is not valid JSON.
+ */
+function parseApplicationDataField(raw) {
+    if (!raw) return null;
+    try {
+        return JSON.parse(raw);
+    } catch (parseError) {
+        throw createHttpError(400, "applicationData must be a JSON string.");
     }
-    
+}
+
+/**
+ * Builds the 400 error listing what a submission is missing (see documentCatalog.checkSubmission).
+ */
+function incompleteSubmissionError({ missing, problems }) {
+    const parts = [];
+    if (missing.length > 0) parts.push(`Missing required documents: ${missing.map((doc) => doc.label).join(', ')}.`);
+    if (problems.length > 0) parts.push(problems.map((problem) => problem.message).join(' '));
+
+    return createHttpError(400, parts.join(' '), { missingDocuments: missing, documentProblems: problems });
+}
+
+/**
+ * Deletes uploaded files that will not be referenced (best effort; failures are logged).
+ * @param {string[]} keys - Storage keys.
+ */
+async function deleteStoredDocuments(keys) {
+    const results = await Promise.allSettled(keys.map((key) => storage.delete(key)));
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') console.error(`❌ Failed to delete stored document ${keys[index]}:`, result.reason);
+    });
+}
+
+/**
+ * Throws if the student already has an application in progress for the term.
+ * The current_application tracker points at the student's latest application.
+ * @param {string} userId - The student's UID.
+ * @param {string} academicTerm - From getAcademicTerm.
+ * @param {FirebaseFirestore.Transaction} [transaction] - Read through this transaction when given.
+ * @throws {Error} - 409 HTTP error with `activeApplicationId`.
+ */
+async function assertNoActiveApplication(userId, academicTerm, transaction = null) {
+    const read = (ref) => (transaction ? transaction.get(ref) : ref.get());
+
+    const tracker = await read(firestoreDb.collection('current_application').doc(userId));
+    const activeApplicationId = tracker.exists ? tracker.get('applicationId') : null;
+    if (!activeApplicationId) return;
+
+    const active = await read(firestoreDb.collection('scholarship_applications').doc(activeApplicationId));
+    if (active.exists && isActiveInTerm(active.data(), academicTerm)) {
+        throw createHttpError(409,
+            `You already have an active ${active.get('scholarshipType') || 'scholarship'} application for the ${formatAcademicTerm(academicTerm)}. ` +
+            "Cancel it or wait for a decision before applying again.",
+            { activeApplicationId, academicTerm });
+    }
+}
+
+/**
+ * Finds the program a student is applying to and checks that it is open, that
+ * the student (as stored in MongoDB, not as sent by the client) is eligible and
+ * that they have no other active application this term.
+ * @param {string} scholarshipType - Program name sent in applicationData.
+ * @param {string} userId - The student's UID.
+ * @returns {Promise<Object>} - The program document.
+ * @throws {Error} - 400 unknown program, 409 closed program or active application, 403 not eligible.
+ */
+async function resolveProgramForSubmission(scholarshipType, userId) {
+    if (!scholarshipType) throw createHttpError(400, "applicationData.scholarshipType is required.");
+
+    const program = await programsCollection.findOne({ name: scholarshipType });
+    if (!program) throw createHttpError(400, `Unknown scholarship program "${scholarshipType}".`);
+    if (!isProgramOpen(program)) {
+        throw createHttpError(409, `The ${program.name} is not accepting applications right now.`, {
+            applicationWindow: program.applicationWindow
+        });
+    }
+
+    const student = await studentsCollection.findOne({ studentNo: userId }, { projection: { course: 1, yearLevel: 1 } });
+    if (!student) throw createHttpError(404, "Student record not found.");
+
+    const eligibilityProblems = getEligibilityProblems(program, student);
+    if (eligibilityProblems.length > 0) {
+        throw createHttpError(403, eligibilityProblems.join(' '), { eligibilityProblems });
+    }
+
+    // Checked before anything is uploaded; the submission transaction checks again
+    await assertNoActiveApplication(userId, getAcademicTerm());
+
+    return program;
+}
+
+// 8️⃣ NEW: APPLICATION SUBMISSION ROUTE (Handles all data + uploads)
+// Preferred: multipart/form-data with text fields userId, studentId and applicationData
+// (a JSON string) sent BEFORE the files; each file field is named after its docType.
+// Deprecated fallback: JSON body with Base64 `documents[docType].fileData`.
+// Optional Idempotency-Key header: a replayed request gets the original response instead of a second application.
+app.post('/api/submit-application', verifyToken, async (req, res) => {
+    const authenticatedUserId = req.user.uid; 
+
+    let idempotency = null;
+    try {
+        const idempotencyKey = readIdempotencyKey(req);
+        if (idempotencyKey) {
+            idempotency = await beginIdempotentRequest(idempotencyCollection, {
+                scope: 'submit-application', userId: authenticatedUserId, key: idempotencyKey
+            });
+            if (idempotency.replay) {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(idempotency.replay.statusCode).json(idempotency.replay.body);
+            }
+        }
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error("Idempotency key error:", error);
+        return res.status(500).json({ success: false, message: "Application submission failed due to a server error." });
+    }
+
     let uploadedDocuments = {};
-    // Get the Firestore document reference (and ID) BEFORE the loop
+    // Every stored file, so a failed submission can remove what it uploaded
+    // (parseMultipartUpload only rejects once uploads still in flight have settled)
+    const uploadedKeys = [];
+    // Get the Firestore document reference (and ID) BEFORE the uploads
     const newAppRef = firestoreDb.collection('scholarship_applications').doc(); 
     const applicationId = newAppRef.id;
 
     try {
-        // --- 1. Upload Documents to Cloudinary ---
-        for (const docType in documentsToUpload) {
-            const { fileData, filename, mimeType } = documentsToUpload[docType];
-            
-            if (fileData) {
-                // 🛑 CRITICAL FIX 3: Replicate the Base64 prefixing fix here too
-                let prefixedFileData = fileData;
-                if (!fileData.startsWith('data:')) {
-                    const finalMimeType = mimeType || 'application/octet-stream';
-                    prefixedFileData = `data:${finalMimeType};base64,${fileData}`;
-                }
-                
-                const fileUrl = await uploadDocumentToCloudinary(prefixedFileData, userId, docType);
-                
+        let userId, studentId, applicationData, program;
+
+        if (req.is('multipart/form-data')) {
+            // --- 1a. Stream Documents to Storage ---
+            const { fields, files } = await parseMultipartUpload(req, async (docType, fileStream, info) => {
+                assertSubmissionOwner(info.fields, authenticatedUserId);
+
+                // Unknown programs and document types are rejected before anything is stored
+                const { scholarshipType } = parseApplicationDataField(info.fields.applicationData) || {};
+                program = program || await resolveProgramForSubmission(scholarshipType, authenticatedUserId);
+                const problem = checkDocument(scholarshipType, docType, undefined, program);
+                if (problem) throw createHttpError(400, problem);
+
+                const stored = await uploadDocument(fileStream, authenticatedUserId, docType, info.getDetectedType()?.mimeType);
+                uploadedKeys.push(stored.key);
+                return {
+                    docType, ...stored, filename: info.filename, mimeType: info.getDetectedType().mimeType,
+                    size: info.getBytes(), contentHash: info.getContentHash()
+                };
+            });
+
+            assertSubmissionOwner(fields, authenticatedUserId);
+            ({ userId, studentId } = fields);
+            applicationData = parseApplicationDataField(fields.applicationData);
+            if (!applicationData || files.length === 0) {
+                throw createHttpError(400, "Missing application data or documents.");
+            }
+
+            // --- 1b. Check the full set against the scholarship's document catalog ---
+            program = program || await resolveProgramForSubmission(applicationData.scholarshipType, authenticatedUserId);
+            const submitted = Object.fromEntries(files.map((file) => [file.docType, file.mimeType]));
+            const catalogCheck = checkSubmission(applicationData.scholarshipType, submitted, program);
+            if (!catalogCheck.complete) throw incompleteSubmissionError(catalogCheck);
+
+            for (const file of files) {
+                uploadedDocuments[file.docType] = {
+                    url: file.url,
+                    storageKey: file.key,
+                    storageBackend: storage.name,
+                    filename: file.filename || `${file.docType}_file`,
+                    type: file.mimeType,
+                    size: file.size,
+                    contentHash: file.contentHash,
+                    uploadedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    // Initial submission: set files to unverified by default
+                    verified: false, 
+                    adminNote: null,
+                };
+            }
+        } else {
+            // ⚠️ DEPRECATED: Base64 inside JSON
+            res.set('Deprecation', 'true');
+            const { documents: documentsToUpload } = req.body;
+            ({ userId, studentId, applicationData } = req.body);
+
+            assertSubmissionOwner(req.body, authenticatedUserId);
+            if (!applicationData || !documentsToUpload) {
+                throw createHttpError(400, "Missing application data or documents.");
+            }
+            program = await resolveProgramForSubmission(applicationData.scholarshipType, authenticatedUserId);
+
+            // --- 1b. Validate every document before uploading any of them ---
+            const decodedDocuments = {};
+            let totalBytes = 0;
+            for (const docType in documentsToUpload) {
+                const { fileData, filename } = documentsToUpload[docType];
+                if (!fileData) continue;
+
+                const decoded = decodeBase64Document(fileData, docType);
+                totalBytes += decoded.buffer.length;
+                decodedDocuments[docType] = { ...decoded, filename };
+            }
+            assertTotalSize(totalBytes);
+
+            // --- 1c. Check the full set against the scholarship's document catalog ---
+            const submitted = Object.fromEntries(
+                Object.entries(decodedDocuments).map(([docType, decoded]) => [docType, decoded.mimeType])
+            );
+            const catalogCheck = checkSubmission(applicationData.scholarshipType, submitted, program);
+            if (!catalogCheck.complete) throw incompleteSubmissionError(catalogCheck);
+
+            // --- 1d. Upload Documents to Storage ---
+            for (const [docType, decoded] of Object.entries(decodedDocuments)) {
+                const stored = await uploadDocument(decoded.buffer, userId, docType, decoded.mimeType);
+                uploadedKeys.push(stored.key);
+
                 uploadedDocuments[docType] = {
-                    url: fileUrl,
-                    filename: filename || `${docType}_file`,
-                    type: mimeType || 'application/octet-stream',
+                    url: stored.url,
+                    storageKey: stored.key,
+                    storageBackend: storage.name,
+                    filename: decoded.filename || `${docType}_file`,
+                    type: decoded.mimeType,
+                    size: decoded.buffer.length,
+                    contentHash: decoded.contentHash,
                     uploadedAt: admin.firestore.FieldValue.serverTimestamp(),
                     // Initial submission: set files to unverified by default
                     verified: false, 
@@ -379,40 +953,72 @@ app.post('/api/submit-application', verifyToken, async (req, res) => {
             }
         }
         
-        // --- 2. Save Document URLs to applications_files collection ---
-        await saveApplicationFilesToFirestore(applicationId, userId, uploadedDocuments);
-
-        // --- 3. Save Main Application Data to scholarship_applications collection ---
+        // --- 2. Build Main Application Data for the scholarship_applications collection ---
         const finalApplicationData = {
             ...applicationData,
             applicationId: applicationId, 
             userId,
             studentId, 
             middleName: applicationData.middleName || null,
-            status: applicationData.status || "Submitted",
+            // The program is looked up server-side; its canonical name replaces the client's string
+            scholarshipType: program.name,
+            programId: program._id.toString(),
+            // New applications always start in Submitted; the client cannot pick a status
+            status: APPLICATION_STATUSES.SUBMITTED,
+            academicTerm: getAcademicTerm(),
             submittedAt: admin.firestore.FieldValue.serverTimestamp()
         };
-        
-        await newAppRef.set(finalApplicationData);
-        
-        // --- 4. Update the current_application tracker in Firestore ---
-        await firestoreDb.collection('current_application').doc(userId).set({
-            applicationId: applicationId,
-            status: finalApplicationData.status,
-            submittedAt: admin.firestore.FieldValue.serverTimestamp(),
-            scholarshipType: finalApplicationData.scholarshipType
-        });
+        finalApplicationData.searchKeywords = buildSearchKeywords(finalApplicationData);
+        const hashes = Object.fromEntries(
+            Object.entries(uploadedDocuments).map(([docType, document]) => [docType, document.contentHash])
+        );
 
+        // --- 3. Write the file records, the application and the current_application tracker together ---
+        // A transaction commits everything or nothing, so a failure never leaves a half-saved application
+        await firestoreDb.runTransaction(async (transaction) => {
+            // Checked again here: another submission may have been saved while the files uploaded
+            await assertNoActiveApplication(userId, finalApplicationData.academicTerm, transaction);
+            const duplicates = await findDuplicateDocuments(transaction, { userId, hashes });
+
+            saveApplicationFilesToFirestore(transaction, applicationId, userId, uploadedDocuments);
+            // Duplicate flags are for reviewers and are not echoed back to the student
+            transaction.set(newAppRef, { ...finalApplicationData, ...buildDuplicateFlags(duplicates) });
+            transaction.set(firestoreDb.collection('current_application').doc(userId), {
+                applicationId: applicationId,
+                status: finalApplicationData.status,
+                submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+                scholarshipType: finalApplicationData.scholarshipType,
+                programId: finalApplicationData.programId,
+                academicTerm: finalApplicationData.academicTerm
+            });
+            recordDocumentFingerprints(transaction, { applicationId, userId, hashes, duplicates, flagOwnApplication: false });
+        });
 
-        res.status(200).json({
+        const responseBody = {
             success: true,
             message: "Application and documents submitted successfully.",
             applicationId: applicationId,
             applicationData: finalApplicationData, 
-        });
+        };
+        if (idempotency) {
+            // The application is saved either way; a replay after this fails only sees a 409 until the lock goes stale
+            await completeIdempotentRequest(idempotencyCollection, idempotency.id, 200, responseBody)
+                .catch((error) => console.error("Failed to store idempotent response:", error));
+        }
+        res.status(200).json(responseBody);
 
     } catch (error) {
-        console.error("💥 Application submission failed with Cloudinary/Firestore error:", error); 
+        // Nothing was saved, so nothing may keep the uploaded files or the idempotency key
+        await deleteStoredDocuments(uploadedKeys);
+        if (idempotency) {
+            await releaseIdempotentRequest(idempotencyCollection, idempotency.id)
+                .catch((releaseError) => console.error("Failed to release idempotency key:", releaseError));
+        }
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error("💥 Application submission failed with storage/Firestore error:", error); 
         
         res.status(500).json({ 
             success: false, 
@@ -422,250 +1028,1555 @@ app.post('/api/submit-application', verifyToken, async (req, res) => {
     }
 });
 
-// 9️⃣ ADMIN: UPDATE APPLICATION STATUS (CRITICAL NEW ROUTE FOR VERIFICATION SNAPSHOTS)
-app.post('/api/admin/update-application-status', verifyAdmin, async (req, res) => {
-    const { 
-        docId, 
-        newStatus, 
-        adminComment, 
-        selectedPendingRemarks = [], 
-        documentVerificationUpdates = {}, 
-        oldStatus 
-    } = req.body;
+// 2️⃣2️⃣ SIGNED DOCUMENT URL (owner or staff; works with every storage backend)
+app.post('/api/files/signed-url', verifyToken, async (req, res) => {
+    const { key } = req.body;
+    if (!key) return res.status(400).json({ success: false, message: "Storage key required." });
 
-    if (!docId || !newStatus || !oldStatus) {
-        return res.status(400).json({ success: false, message: "Missing required fields (docId, newStatus, oldStatus)." });
+    try {
+        if (!(await hasDocumentAccess(req.user, key))) {
+            return res.status(403).json({ success: false, message: "You do not have access to this document." });
+        }
+
+        const url = await storage.getSignedUrl(key);
+        if (!url) return res.status(404).json({ success: false, message: "Document not found." });
+
+        res.json({ success: true, url });
+    } catch (error) {
+        console.error("Signed URL error:", error);
+        res.status(500).json({ success: false, message: "Failed to create document URL." });
     }
+});
+
+// 2️⃣3️⃣ LOCAL STORAGE FILE SERVER (STORAGE_BACKEND=local only)
+// Access: a valid ?expires=&signature= from a signed URL, or a Bearer token of the owner or staff.
+app.get('/api/files/*key', async (req, res) => {
+    if (storage.name !== 'local') {
+        return res.status(404).json({ success: false, message: "File serving is only available with local storage." });
+    }
+
+    const key = req.params.key.join('/');
 
-    const applicationRef = firestoreDb.collection('scholarship_applications').doc(docId);
-    
-    // --- 1. Prepare Updates for Main Application Document ---
-    const updatePayload = {
-        status: newStatus,
-        adminComment: adminComment || null,
-        pendingRemarks: selectedPendingRemarks, // Saved regardless of status for history
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
-    
-    // --- 2. Handle Document Verification Snapshots via Transaction ---
-    let currentData = {};
     try {
-        await firestoreDb.runTransaction(async (transaction) => {
-            const docSnapshot = await transaction.get(applicationRef);
-            if (!docSnapshot.exists) {
-                throw new Error("Application not found.");
+        let allowed = storage.verifySignature(key, req.query.expires, req.query.signature);
+
+        const authHeader = req.headers.authorization;
+        if (!allowed && authHeader && authHeader.startsWith('Bearer ')) {
+            try {
+                const decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+                allowed = await hasDocumentAccess(decodedToken, key);
+            } catch (tokenError) {
+                return res.status(403).json({ success: false, message: 'Invalid or expired token.' });
             }
-            currentData = docSnapshot.data();
-            const currentSnapshots = currentData.verificationSnapshots || {};
-            
-            // Check if there are verification updates sent from the client
-            if (Object.keys(documentVerificationUpdates).length > 0) {
-                
-                // CRITICAL: We save the document verification data using the OLD STATUS as the key.
-                const snapshotKey = oldStatus;
-                
-                // Merge new updates with the existing snapshot for the old status
-                const existingSnapshot = currentSnapshots[snapshotKey] || {};
-                
-                // Merge the existing snapshot with the new verification updates
-                currentSnapshots[snapshotKey] = {
-                    ...existingSnapshot,
-                    ...documentVerificationUpdates
+        }
+        if (!allowed) return res.status(403).json({ success: false, message: "You do not have access to this document." });
+
+        const metadata = await storage.getMetadata(key);
+        if (!metadata) return res.status(404).json({ success: false, message: "Document not found." });
+
+        res.set({ 'Content-Type': metadata.contentType, 'Content-Length': metadata.size, 'Cache-Control': 'private, no-store' });
+        storage.createReadStream(key)
+            .on('error', (streamError) => {
+                console.error("Local file read error:", streamError);
+                res.destroy(streamError);
+            })
+            .pipe(res);
+    } catch (error) {
+        console.error("Local file serve error:", error);
+        res.status(400).json({ success: false, message: "Invalid file path." });
+    }
+});
+
+// 2️⃣4️⃣ PUBLIC: DOCUMENT CHECKLIST FOR A SCHOLARSHIP TYPE
+app.get('/api/scholarships/:scholarshipType/required-documents', async (req, res) => {
+    const { scholarshipType } = req.params;
+    try {
+        const program = await programsCollection.findOne({ name: scholarshipType });
+        res.json({ success: true, scholarshipType, documents: getDocumentChecklist(scholarshipType, program) });
+    } catch (error) {
+        console.error("Required documents error:", error);
+        res.status(500).json({ success: false, message: "Failed to load the document checklist." });
+    }
+});
+
+// 2️⃣5️⃣ PUBLIC: SCHOLARSHIP PROGRAMS CURRENTLY ACCEPTING APPLICATIONS
+app.get('/api/scholarship-programs/open', async (req, res) => {
+    try {
+        const now = new Date();
+        const programs = await programsCollection
+            .find({ isActive: true, 'applicationWindow.opensAt': { $lte: now }, 'applicationWindow.closesAt': { $gte: now } })
+            .sort({ 'applicationWindow.closesAt': 1 })
+            .toArray();
+
+        res.json({ success: true, programs: programs.map(toProgramResponse) });
+    } catch (error) {
+        console.error("List open programs error:", error);
+        res.status(500).json({ success: false, message: "Failed to load scholarship programs." });
+    }
+});
+
+/**
+ * Loads the program an application belongs to.
+ * Applications submitted before programs existed are matched by scholarshipType.
+ * @param {Object} application - scholarship_applications document data.
+ * @returns {Promise<Object|null>} - The program document, or null if it no longer exists.
+ */
+async function findApplicationProgram(application) {
+    const programId = application.programId && ObjectId.isValid(application.programId)
+        ? new ObjectId(application.programId)
+        : null;
+    return programsCollection.findOne(programId ? { _id: programId } : { name: application.scholarshipType });
+}
+
+/**
+ * Calculates the award for an application from its program's rules.
+ * @param {Object} application - scholarship_applications document data.
+ * @param {Object} [awardInputs] - Reviewer corrections to the application's gwa/tuitionFee.
+ * @param {Object} [program] - The application's program, if already loaded.
+ * @returns {Promise<{award: Object|null}>} - award is null when the program has no award rules.
+ * @throws {Error} - 422 HTTP error when the rules cannot be applied (missing GWA, no matching tier...).
+ */
+async function calculateApplicationAward(application, awardInputs = {}, program) {
+    program = program === undefined ? await findApplicationProgram(application) : program;
+    if (!program?.awardRules) return { award: null };
+
+    const inputs = {
+        gwa: awardInputs.gwa ?? application.gwa,
+        tuitionFee: awardInputs.tuitionFee ?? application.tuitionFee
+    };
+    const { errors, award } = calculateAward(program.awardRules, inputs);
+    if (errors.length > 0) {
+        throw createHttpError(422, `Award cannot be calculated: ${errors.join(' ')}`, { awardErrors: errors });
+    }
+
+    return { award: { ...award, programId: program._id.toString() } };
+}
+
+// 9️⃣ ADMIN: UPDATE APPLICATION STATUS
+// Document verdicts should be sent to 3️⃣9️⃣; documentVerificationUpdates is still accepted but deprecated.
+app.post('/api/admin/update-application-status', requirePermission(PERMISSIONS.APPLICATIONS_REVIEW), async (req, res) => {
+    const { 
+        docId, 
+        newStatus, 
+        adminComment, 
+        selectedPendingRemarks = [], 
+        documentVerificationUpdates = {}, 
+        oldStatus,
+        awardInputs = {}
+    } = req.body;
+
+    if (!docId || !newStatus || !oldStatus) {
+        return res.status(400).json({ success: false, message: "Missing required fields (docId, newStatus, oldStatus)." });
+    }
+    if (!isValidStatus(newStatus)) {
+        return res.status(400).json({
+            success: false,
+            message: `Unknown status "${newStatus}". Allowed statuses: ${Object.values(APPLICATION_STATUSES).join(', ')}.`
+        });
+    }
+
+    const applicationRef = firestoreDb.collection('scholarship_applications').doc(docId);
+    
+    // --- 1. Prepare Updates for Main Application Document ---
+    const updatePayload = {
+        status: newStatus,
+        adminComment: adminComment || null,
+        pendingRemarks: selectedPendingRemarks, // Saved regardless of status for history
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    // Time of the final decision, used for time-to-decision statistics
+    if (isFinalStatus(newStatus)) {
+        updatePayload.decidedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    
+    // --- 2. Check and Apply the Status Change via Transaction ---
+    try {
+        await firestoreDb.runTransaction(async (transaction) => {
+            const docSnapshot = await transaction.get(applicationRef);
+            if (!docSnapshot.exists) {
+                throw createHttpError(404, "Application not found.");
+            }
+            const currentData = docSnapshot.data();
+
+            // Optimistic concurrency: the client must have seen the stored status
+            if (currentData.status !== oldStatus) {
+                throw createHttpError(409, "Application status was changed by someone else. Reload and try again.", {
+                    currentStatus: currentData.status,
+                    validNextStatuses: getNextStatuses(currentData.status)
+                });
+            }
+            if (!canTransition(currentData.status, newStatus)) {
+                throw createHttpError(422, `Cannot change status from ${currentData.status} to ${newStatus}.`, {
+                    currentStatus: currentData.status,
+                    validNextStatuses: getNextStatuses(currentData.status)
+                });
+            }
+
+            const actor = buildActor(req.user);
+
+            // Per-document verdicts live in applications_files (see 3️⃣9️⃣); read before any write
+            const filesRef = firestoreDb.collection('applications_files').doc(docId);
+            const filesSnapshot = await transaction.get(filesRef);
+            const documents = { ...(filesSnapshot.exists ? filesSnapshot.get('documents') : {}) };
+
+            // ⚠️ DEPRECATED: documentVerificationUpdates ({ docType: { verified, adminNote } }) is
+            // applied as individual verdicts instead of a verificationSnapshots[oldStatus] blob
+            const legacyUpdates = Object.entries(documentVerificationUpdates);
+            const verifications = {};
+            for (const [docType, update] of legacyUpdates) {
+                // Own keys only: 'constructor' or 'toString' must not become documents.* field paths
+                if (!Object.hasOwn(DOCUMENT_TYPES, docType) || !Object.hasOwn(documents, docType)) throw createHttpError(400, `${docType} is not on file for this application.`);
+                const isVerified = typeof update === 'object' && update !== null ? Boolean(update.verified) : Boolean(update);
+                verifications[docType] = buildVerification(
+                    isVerified ? VERIFICATION_VERDICTS.VERIFIED : VERIFICATION_VERDICTS.REJECTED,
+                    update?.adminNote,
+                    actor
+                );
+                documents[docType] = { ...documents[docType], verified: isVerified };
+            }
+
+            // Approval needs every required document verified (including verdicts in this request)
+            // and no document still flagged for resubmission
+            const program = newStatus === APPLICATION_STATUSES.APPROVED ? await findApplicationProgram(currentData) : null;
+            if (newStatus === APPLICATION_STATUSES.APPROVED) {
+                const unverifiedDocuments = getUnverifiedRequiredDocuments(currentData.scholarshipType, documents, program);
+                const openResubmissionRequests = getOpenResubmissionRequests(currentData);
+                if (unverifiedDocuments.length > 0 || openResubmissionRequests.length > 0) {
+                    const reasons = [];
+                    if (unverifiedDocuments.length > 0) {
+                        reasons.push(`${unverifiedDocuments.map((document) => document.label).join(', ')} not verified`);
+                    }
+                    if (openResubmissionRequests.length > 0) {
+                        reasons.push(`resubmission still open for ${openResubmissionRequests.map((request) => request.label).join(', ')}`);
+                    }
+                    throw createHttpError(422, `Cannot approve: ${reasons.join('; ')}.`, {
+                        unverifiedDocuments,
+                        openResubmissionRequests
+                    });
+                }
+            }
+
+            // Approval fixes the award; the stored breakdown is what the student is told
+            if (newStatus === APPLICATION_STATUSES.APPROVED) {
+                const { award } = await calculateApplicationAward(currentData, awardInputs, program);
+                updatePayload.award = award && {
+                    ...award,
+                    calculatedAt: admin.firestore.Timestamp.now(),
+                    calculatedBy: actor
                 };
-                
-                // Add the updated snapshots object to the main update payload
-                updatePayload.verificationSnapshots = currentSnapshots;
+            }
+
+            if (legacyUpdates.length > 0) {
+                const filesData = filesSnapshot.data();
+                recordHistoryEntry(transaction, applicationRef, {
+                    type: HISTORY_ENTRY_TYPES.DOCUMENT_VERIFICATION,
+                    actor,
+                    before: Object.fromEntries(Object.keys(verifications).map((docType) => [
+                        docType, filesData.documents[docType].verification || { verified: Boolean(filesData.documents[docType].verified) }
+                    ])),
+                    after: verifications
+                });
+                for (const [docType, verification] of Object.entries(verifications)) {
+                    applyVerification(transaction, filesRef, docType, verification);
+                }
+            }
+
+            // --- 3. Record History Entries (same transaction as the update) ---
+            recordHistoryEntry(transaction, applicationRef, {
+                type: HISTORY_ENTRY_TYPES.STATUS_CHANGE,
+                actor,
+                before: { status: currentData.status },
+                after: updatePayload.award
+                    ? { status: newStatus, awardAmount: updatePayload.award.amount, awardCurrency: updatePayload.award.currency }
+                    : { status: newStatus }
+            });
+
+            const previousComment = {
+                adminComment: currentData.adminComment ?? null,
+                pendingRemarks: currentData.pendingRemarks || []
+            };
+            const nextComment = {
+                adminComment: updatePayload.adminComment,
+                pendingRemarks: updatePayload.pendingRemarks
+            };
+            if (JSON.stringify(previousComment) !== JSON.stringify(nextComment)) {
+                recordHistoryEntry(transaction, applicationRef, {
+                    type: HISTORY_ENTRY_TYPES.ADMIN_COMMENT,
+                    actor,
+                    before: previousComment,
+                    after: nextComment
+                });
             }
             
-            // --- 3. Update the Document ---
+            // --- 4. Queue the student notification (sent by the outbox worker) ---
+            if (currentData.userId && shouldNotifyStatus(newStatus)) {
+                updatePayload.statusNotification = enqueueStatusNotification(transaction, {
+                    applicationId: docId,
+                    userId: currentData.userId,
+                    status: newStatus,
+                    scholarshipType: currentData.scholarshipType
+                });
+            }
+
+            // --- 5. Update the Document ---
+            // Keywords are refreshed so applications submitted before search existed become searchable
+            updatePayload.searchKeywords = buildSearchKeywords(currentData);
+            transaction.update(applicationRef, updatePayload);
+
+            // --- 6. Update the current_application tracker in the same transaction ---
+            if (currentData.userId) {
+                const currentAppRef = firestoreDb.collection('current_application').doc(currentData.userId);
+                transaction.set(currentAppRef, {
+                    status: newStatus,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                }, { merge: true });
+            }
+        });
+
+        if (Object.keys(documentVerificationUpdates).length > 0) res.set('Deprecation', 'true');
+        res.status(200).json({ 
+            success: true, 
+            message: `Application status updated to ${newStatus}.`,
+            verificationSaved: Object.keys(documentVerificationUpdates).length > 0,
+            newStatus: newStatus,
+            validNextStatuses: getNextStatuses(newStatus),
+            notificationQueued: Boolean(updatePayload.statusNotification),
+            award: updatePayload.award ?? null
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error("💥 Transactional update failed for application status:", error);
+        res.status(500).json({ success: false, message: "Server failed to update application status and verification details." });
+    }
+});
+
+// 3️⃣7️⃣ ADMIN: FLAG DOCUMENTS FOR RESUBMISSION
+// Body: { documents: [{ docType, note, dueDate }] }. Moves an Under Review application to Pending
+// and emails the student the list. The student can then upload only these documents (7️⃣).
+app.post('/api/admin/applications/:docId/resubmission-requests', requirePermission(PERMISSIONS.APPLICATIONS_REVIEW), async (req, res) => {
+    const applicationRef = firestoreDb.collection('scholarship_applications').doc(req.params.docId);
+    const filesRef = firestoreDb.collection('applications_files').doc(req.params.docId);
+
+    try {
+        const result = await firestoreDb.runTransaction(async (transaction) => {
+            const [docSnapshot, filesSnapshot] = await Promise.all([
+                transaction.get(applicationRef),
+                transaction.get(filesRef)
+            ]);
+            if (!docSnapshot.exists) throw createHttpError(404, "Application not found.");
+            const currentData = docSnapshot.data();
+
+            const isPending = currentData.status === APPLICATION_STATUSES.PENDING;
+            if (!isPending && !canTransition(currentData.status, APPLICATION_STATUSES.PENDING)) {
+                throw createHttpError(409, `Documents cannot be requested while the application is ${currentData.status}.`, {
+                    currentStatus: currentData.status
+                });
+            }
+
+            const program = await findApplicationProgram(currentData);
+            const { errors, requests } = validateResubmissionInput(currentData.scholarshipType, req.body?.documents, program);
+            if (errors.length > 0) throw createHttpError(400, errors.join(' '), { errors });
+
+            const actor = buildActor(req.user);
+            const now = admin.firestore.Timestamp.now();
+            const updatePayload = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+            for (const { docType, note, dueAt } of requests) {
+                updatePayload[`resubmissionRequests.${docType}`] = {
+                    state: RESUBMISSION_STATES.REQUESTED,
+                    note,
+                    dueAt: admin.firestore.Timestamp.fromDate(dueAt),
+                    requestedAt: now,
+                    requestedBy: actor,
+                    submittedAt: null
+                };
+            }
+
+            const notifiedDocuments = requests.map(({ docType, note, dueAt }) => ({
+                docType,
+                label: DOCUMENT_TYPES[docType].label,
+                note,
+                dueAt: dueAt.toISOString()
+            }));
+            recordHistoryEntry(transaction, applicationRef, {
+                type: HISTORY_ENTRY_TYPES.RESUBMISSION_REQUEST,
+                actor,
+                before: {},
+                after: { documents: notifiedDocuments }
+            });
+
+            if (!isPending) {
+                updatePayload.status = APPLICATION_STATUSES.PENDING;
+                recordHistoryEntry(transaction, applicationRef, {
+                    type: HISTORY_ENTRY_TYPES.STATUS_CHANGE,
+                    actor,
+                    before: { status: currentData.status },
+                    after: { status: APPLICATION_STATUSES.PENDING }
+                });
+            }
+
+            // One email listing every flagged document replaces the generic Pending status email
+            if (currentData.userId) {
+                updatePayload.resubmissionNotification = enqueueResubmissionNotification(transaction, {
+                    applicationId: req.params.docId,
+                    userId: currentData.userId,
+                    scholarshipType: currentData.scholarshipType,
+                    documents: notifiedDocuments
+                });
+            }
+
+            transaction.update(applicationRef, updatePayload);
+            // A flagged document needs a fresh verdict before the application can be approved
+            const documentsOnFile = filesSnapshot.exists ? filesSnapshot.get('documents') || {} : {};
+            markDocumentsUnverified(transaction, filesRef, requests
+                .map(({ docType }) => docType)
+                .filter((docType) => Object.hasOwn(documentsOnFile, docType)));
+            if (currentData.userId && !isPending) {
+                transaction.set(firestoreDb.collection('current_application').doc(currentData.userId), {
+                    status: APPLICATION_STATUSES.PENDING,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                }, { merge: true });
+            }
+
+            return { status: APPLICATION_STATUSES.PENDING, documents: notifiedDocuments };
+        });
+
+        res.json({
+            success: true,
+            message: `Resubmission requested for ${result.documents.length} document(s).`,
+            ...result,
+            validNextStatuses: getNextStatuses(result.status)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error("Resubmission request error:", error);
+        res.status(500).json({ success: false, message: "Failed to request document resubmission." });
+    }
+});
+
+// 3️⃣8️⃣ ADMIN: ACCEPT OR REJECT A RESUBMITTED DOCUMENT
+// Body: { decision: 'accept' | 'reject', note, dueDate }. Accepting promotes the file into
+// applications_files and keeps the replaced file under previousVersions.{docType}.
+// Rejecting reopens the request (note required; dueDate optional if the old one has not passed).
+app.post('/api/admin/applications/:docId/resubmissions/:docType/review', requirePermission(PERMISSIONS.APPLICATIONS_REVIEW), async (req, res) => {
+    const { docId, docType } = req.params;
+    const { decision, note, dueDate } = req.body || {};
+    if (!['accept', 'reject'].includes(decision)) {
+        return res.status(400).json({ success: false, message: "decision must be accept or reject." });
+    }
+
+    const applicationRef = firestoreDb.collection('scholarship_applications').doc(docId);
+    const filesRef = firestoreDb.collection('applications_files').doc(docId);
+    const resubmissionRef = firestoreDb.collection(RESUBMISSION_FILES_COLLECTION).doc(docId);
+
+    try {
+        const result = await firestoreDb.runTransaction(async (transaction) => {
+            const [applicationSnapshot, filesSnapshot, resubmissionSnapshot] = await Promise.all([
+                transaction.get(applicationRef),
+                transaction.get(filesRef),
+                transaction.get(resubmissionRef)
+            ]);
+            if (!applicationSnapshot.exists) throw createHttpError(404, "Application not found.");
+
+            const currentData = applicationSnapshot.data();
+            const request = currentData.resubmissionRequests?.[docType];
+            const resubmitted = resubmissionSnapshot.exists ? resubmissionSnapshot.get('documents')?.[docType] : null;
+            if (request?.state !== RESUBMISSION_STATES.SUBMITTED || !resubmitted) {
+                throw createHttpError(409, `There is no resubmitted ${docType} waiting for review.`, {
+                    requestState: request?.state || null
+                });
+            }
+
+            const actor = buildActor(req.user);
+            const now = admin.firestore.Timestamp.now();
+            const reviewNote = note ? String(note).trim() : null;
+
+            if (decision === 'accept') {
+                const previous = filesSnapshot.exists ? filesSnapshot.get('documents')?.[docType] : null;
+                // Accepting is also the verification verdict for the new file
+                const verification = buildVerification(VERIFICATION_VERDICTS.VERIFIED, reviewNote, actor);
+                transaction.set(filesRef, {
+                    userId: currentData.userId,
+                    documents: {
+                        [docType]: { ...resubmitted, verified: true, adminNote: reviewNote, verification, acceptedAt: now, acceptedBy: actor }
+                    },
+                    verificationHistory: { [docType]: admin.firestore.FieldValue.arrayUnion(verification) },
+                    ...(previous ? { previousVersions: { [docType]: admin.firestore.FieldValue.arrayUnion({ ...previous, replacedAt: now }) } } : {}),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                }, { merge: true });
+                transaction.update(resubmissionRef, { [`documents.${docType}`]: admin.firestore.FieldValue.delete() });
+                transaction.update(applicationRef, {
+                    [`resubmissionRequests.${docType}.state`]: RESUBMISSION_STATES.ACCEPTED,
+                    [`resubmissionRequests.${docType}.reviewedAt`]: now,
+                    [`resubmissionRequests.${docType}.reviewedBy`]: actor,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                recordHistoryEntry(transaction, applicationRef, {
+                    type: HISTORY_ENTRY_TYPES.RESUBMISSION_REVIEW,
+                    actor,
+                    before: { docType, state: request.state },
+                    after: { docType, decision, note: reviewNote, state: RESUBMISSION_STATES.ACCEPTED }
+                });
+                return { state: RESUBMISSION_STATES.ACCEPTED, previousVersionKept: Boolean(previous) };
+            }
+
+            if (!reviewNote) throw createHttpError(400, "A note telling the student what to fix is required when rejecting.");
+            const dueAt = dueDate ? new Date(dueDate) : request.dueAt.toDate();
+            if (Number.isNaN(dueAt.getTime()) || dueAt <= new Date()) {
+                throw createHttpError(400, "dueDate must be a valid future date (the previous deadline has passed).");
+            }
+
+            transaction.update(applicationRef, {
+                [`resubmissionRequests.${docType}.state`]: RESUBMISSION_STATES.REQUESTED,
+                [`resubmissionRequests.${docType}.note`]: reviewNote,
+                [`resubmissionRequests.${docType}.dueAt`]: admin.firestore.Timestamp.fromDate(dueAt),
+                [`resubmissionRequests.${docType}.reviewedAt`]: now,
+                [`resubmissionRequests.${docType}.reviewedBy`]: actor,
+                ...(currentData.userId ? {
+                    resubmissionNotification: enqueueResubmissionNotification(transaction, {
+                        applicationId: docId,
+                        userId: currentData.userId,
+                        scholarshipType: currentData.scholarshipType,
+                        documents: [{ docType, label: DOCUMENT_TYPES[docType]?.label || docType, note: reviewNote, dueAt: dueAt.toISOString() }]
+                    })
+                } : {}),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            recordHistoryEntry(transaction, applicationRef, {
+                type: HISTORY_ENTRY_TYPES.RESUBMISSION_REVIEW,
+                actor,
+                before: { docType, state: request.state },
+                after: { docType, decision, note: reviewNote, dueAt: dueAt.toISOString(), state: RESUBMISSION_STATES.REQUESTED }
+            });
+            return { state: RESUBMISSION_STATES.REQUESTED, dueAt: dueAt.toISOString() };
+        });
+
+        res.json({
+            success: true,
+            message: decision === 'accept' ? `${docType} accepted.` : `${docType} sent back to the student.`,
+            docType,
+            ...result
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error("Resubmission review error:", error);
+        res.status(500).json({ success: false, message: "Failed to review the resubmitted document." });
+    }
+});
+
+// 3️⃣9️⃣ ADMIN: VERIFY OR REJECT ONE DOCUMENT
+// Body: { verdict: 'verified' | 'rejected', note } (note required when rejecting).
+app.post('/api/admin/applications/:docId/documents/:docType/verification', requirePermission(PERMISSIONS.APPLICATIONS_REVIEW), async (req, res) => {
+    const { docId, docType } = req.params;
+    const { verdict, note } = req.body || {};
+    if (!Object.hasOwn(DOCUMENT_TYPES, docType)) return res.status(400).json({ success: false, message: `Unknown document type "${docType}".` });
+    const problem = validateVerdict(verdict, note);
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    const applicationRef = firestoreDb.collection('scholarship_applications').doc(docId);
+    const filesRef = firestoreDb.collection('applications_files').doc(docId);
+
+    try {
+        const verification = await firestoreDb.runTransaction(async (transaction) => {
+            const [applicationSnapshot, filesSnapshot] = await Promise.all([
+                transaction.get(applicationRef),
+                transaction.get(filesRef)
+            ]);
+            if (!applicationSnapshot.exists) throw createHttpError(404, "Application not found.");
+
+            const status = applicationSnapshot.get('status');
+            if (isFinalStatus(status)) {
+                throw createHttpError(409, `Documents cannot be reviewed once the application is ${status}.`, { currentStatus: status });
+            }
+
+            const documents = filesSnapshot.exists ? filesSnapshot.get('documents') || {} : {};
+            const document = Object.hasOwn(documents, docType) ? documents[docType] : null;
+            if (!document) throw createHttpError(404, `${docType} is not on file for this application.`);
+
+            const actor = buildActor(req.user);
+            const next = buildVerification(verdict, note, actor);
+            recordHistoryEntry(transaction, applicationRef, {
+                type: HISTORY_ENTRY_TYPES.DOCUMENT_VERIFICATION,
+                actor,
+                before: { [docType]: document.verification || { verified: Boolean(document.verified) } },
+                after: { [docType]: next }
+            });
+            applyVerification(transaction, filesRef, docType, next);
+            transaction.update(applicationRef, { updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+            return next;
+        });
+
+        res.json({
+            success: true,
+            message: `${docType} marked ${verdict}.`,
+            docType,
+            verification: { ...verification, reviewedAt: verification.reviewedAt.toDate().toISOString() }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error("Document verification error:", error);
+        res.status(500).json({ success: false, message: "Failed to save the document verdict." });
+    }
+});
+
+// 4️⃣0️⃣ ADMIN: DOCUMENTS OF AN APPLICATION WITH CURRENT AND PAST VERDICTS
+app.get('/api/admin/applications/:docId/documents', requirePermission(PERMISSIONS.APPLICATIONS_REVIEW), async (req, res) => {
+    try {
+        const [applicationSnapshot, filesSnapshot] = await Promise.all([
+            firestoreDb.collection('scholarship_applications').doc(req.params.docId).get(),
+            firestoreDb.collection('applications_files').doc(req.params.docId).get()
+        ]);
+        if (!applicationSnapshot.exists) return res.status(404).json({ success: false, message: "Application not found." });
+
+        const scholarshipType = applicationSnapshot.get('scholarshipType');
+        const documents = filesSnapshot.exists ? filesSnapshot.get('documents') || {} : {};
+        const history = filesSnapshot.exists ? filesSnapshot.get('verificationHistory') || {} : {};
+        const toVerdictView = (verification) => verification && {
+            ...verification,
+            reviewedAt: toIsoString(verification.reviewedAt)
+        };
+
+        const program = await findApplicationProgram(applicationSnapshot.data());
+        const items = getDocumentChecklist(scholarshipType, program).map((item) => {
+            const document = documents[item.docType];
+            return {
+                ...item,
+                onFile: Boolean(document),
+                filename: document?.filename || null,
+                storageKey: document?.storageKey || null,
+                uploadedAt: toIsoString(document?.uploadedAt),
+                verified: Boolean(document?.verified),
+                adminNote: document?.adminNote || null,
+                verification: toVerdictView(document?.verification),
+                verificationHistory: (history[item.docType] || []).map(toVerdictView)
+            };
+        });
+
+        res.json({
+            success: true,
+            applicationId: req.params.docId,
+            documents: items,
+            unverifiedRequiredDocuments: getUnverifiedRequiredDocuments(scholarshipType, documents, program)
+        });
+    } catch (error) {
+        console.error("Application documents error:", error);
+        res.status(500).json({ success: false, message: "Failed to load application documents." });
+    }
+});
+
+// 3️⃣1️⃣ ADMIN: LIST / SEARCH APPLICATIONS
+// NOTE: q matches searchKeywords; applications stored before that field existed need `npm run backfill-search -- --apply` once.
+// Query: status, scholarshipType, course, yearLevel, academicTerm (e.g. 2026-2027-1), hasDuplicateDocuments=true, submittedFrom, submittedTo, q (name or student number prefix),
+// sortBy (submittedAt|updatedAt|lastName|studentId), sortOrder (asc|desc), limit (max 100), cursor (from nextCursor).
+app.get('/api/admin/applications', requirePermission(PERMISSIONS.APPLICATIONS_REVIEW), async (req, res) => {
+    try {
+        const options = parseListQuery(req.query);
+        const snapshot = await buildApplicationQuery(firestoreDb.collection('scholarship_applications'), options).get();
+        const { applications, nextCursor } = toApplicationPage(snapshot, options);
+
+        res.json({ success: true, applications, nextCursor, count: applications.length });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error("List applications error:", error);
+        res.status(500).json({ success: false, message: "Failed to list applications." });
+    }
+});
+
+// 3️⃣2️⃣ ADMIN: EXPORT APPLICATIONS JOINED WITH STUDENT RECORDS (streamed)
+// Query: the same filters as 3️⃣1️⃣ (limit/cursor ignored), plus format (csv|xlsx) and columns (comma-separated).
+app.get('/api/admin/applications/export', requirePermission(PERMISSIONS.APPLICATIONS_EXPORT), async (req, res) => {
+    let listOptions, exportOptions;
+    try {
+        listOptions = parseListQuery(req.query);
+        exportOptions = parseExportOptions(req.query);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        throw error;
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[exportOptions.format];
+    const filename = `applications_${new Date().toISOString().slice(0, 10)}.${extension}`;
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    try {
+        const rows = iterateApplicationsWithStudents(firestoreDb.collection('scholarship_applications'), studentsCollection, listOptions);
+        const count = await writeApplicationExport(res, rows, exportOptions);
+        console.log(`📤 Exported ${count} applications (${exportOptions.format}) for ${req.user.uid}`);
+    } catch (error) {
+        console.error("Export applications error:", error);
+        // Once rows have been sent the status cannot change; cut the download so it is not mistaken for complete
+        if (res.headersSent) return res.destroy(error);
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ success: false, message: "Failed to export applications." });
+    }
+});
+
+// 3️⃣3️⃣ ADMIN: DASHBOARD STATISTICS
+// Query: from, to (submission date range), scholarshipType or programId. Results are cached for STATS_CACHE_TTL_SECONDS.
+app.get('/api/admin/statistics', requirePermission(PERMISSIONS.APPLICATIONS_REVIEW), async (req, res) => {
+    try {
+        const filters = parseStatisticsQuery(req.query);
+        const { statistics, cached } = await getCachedStatistics(
+            (cacheFilters) => computeStatistics(firestoreDb.collection('scholarship_applications'), studentsCollection, cacheFilters),
+            filters
+        );
+
+        res.json({ success: true, cached, statistics });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error("Statistics error:", error);
+        res.status(500).json({ success: false, message: "Failed to compute statistics." });
+    }
+});
+
+// 3️⃣0️⃣ ADMIN: AWARD DRY RUN (calculates without saving)
+// Body: { awardInputs: { gwa, tuitionFee } } to try values other than the ones on the application.
+app.post('/api/admin/applications/:docId/award-preview', requirePermission(PERMISSIONS.APPLICATIONS_REVIEW), async (req, res) => {
+    try {
+        const snapshot = await firestoreDb.collection('scholarship_applications').doc(req.params.docId).get();
+        if (!snapshot.exists) return res.status(404).json({ success: false, message: "Application not found." });
+
+        const { award } = await calculateApplicationAward(snapshot.data(), req.body?.awardInputs || {});
+        res.json({
+            success: true,
+            dryRun: true,
+            award,
+            message: award ? "Award calculated (not saved)." : "This program has no award rules."
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, dryRun: true, message: error.message, ...error.details });
+        }
+        console.error("Award preview error:", error);
+        res.status(500).json({ success: false, message: "Failed to calculate award." });
+    }
+});
+
+// 1️⃣5️⃣ ADMIN: VALID NEXT STATUSES FOR AN APPLICATION
+app.get('/api/admin/applications/:docId/next-statuses', requirePermission(PERMISSIONS.APPLICATIONS_REVIEW), async (req, res) => {
+    try {
+        const docSnapshot = await firestoreDb.collection('scholarship_applications').doc(req.params.docId).get();
+        if (!docSnapshot.exists) return res.status(404).json({ success: false, message: "Application not found." });
+
+        const { status } = docSnapshot.data();
+        res.json({ success: true, currentStatus: status, validNextStatuses: getNextStatuses(status) });
+    } catch (error) {
+        console.error("Next statuses error:", error);
+        res.status(500).json({ success: false, message: "Failed to load application status." });
+    }
+});
+
+
+// 1️⃣6️⃣ ADMIN: FULL APPLICATION HISTORY
+app.get('/api/admin/applications/:docId/history', requirePermission(PERMISSIONS.APPLICATIONS_REVIEW), async (req, res) => {
+    try {
+        const applicationRef = firestoreDb.collection('scholarship_applications').doc(req.params.docId);
+        const docSnapshot = await applicationRef.get();
+        if (!docSnapshot.exists) return res.status(404).json({ success: false, message: "Application not found." });
+
+        const history = await getApplicationHistory(applicationRef);
+        res.json({ success: true, applicationId: req.params.docId, history });
+    } catch (error) {
+        console.error("Application history error:", error);
+        res.status(500).json({ success: false, message: "Failed to load application history." });
+    }
+});
+
+// 1️⃣7️⃣ STUDENT: APPLICATION HISTORY (student-safe)
+app.get('/api/applications/:docId/history', verifyToken, async (req, res) => {
+    try {
+        const applicationRef = firestoreDb.collection('scholarship_applications').doc(req.params.docId);
+        const docSnapshot = await applicationRef.get();
+
+        // Same response for "missing" and "not yours", so application IDs cannot be probed
+        if (!docSnapshot.exists || docSnapshot.data().userId !== req.user.uid) {
+            return res.status(404).json({ success: false, message: "Application not found." });
+        }
+
+        const history = (await getApplicationHistory(applicationRef))
+            .map(toStudentSafeEntry)
+            .filter(Boolean);
+
+        res.json({ success: true, applicationId: req.params.docId, history });
+    } catch (error) {
+        console.error("Student application history error:", error);
+        res.status(500).json({ success: false, message: "Failed to load application history." });
+    }
+});
+
+
+/**
+ * Shapes an application for its student. Reviewer-only data (verification
+ * snapshots, award breakdown inputs, notification state) is left out.
+ * @param {string} applicationId - The scholarship_applications document ID.
+ * @param {Object} application - The document data.
+ * @returns {Object}
+ */
+function toStudentApplicationView(applicationId, application) {
+    return {
+        applicationId,
+        scholarshipType: application.scholarshipType || null,
+        programId: application.programId || null,
+        academicTerm: application.academicTerm || null,
+        status: application.status,
+        isFinal: isFinalStatus(application.status),
+        canCancel: canTransition(application.status, APPLICATION_STATUSES.CANCELLED),
+        adminComment: application.adminComment || null,
+        pendingRemarks: application.pendingRemarks || [],
+        resubmissionRequests: getOpenResubmissionRequests(application),
+        award: application.award ? { amount: application.award.amount, currency: application.award.currency } : null,
+        submittedAt: toIsoString(application.submittedAt),
+        updatedAt: toIsoString(application.updatedAt),
+        decidedAt: toIsoString(application.decidedAt)
+    };
+}
+
+/**
+ * Loads the documents on file for an application. Resubmitted files replace
+ * the originals of the same docType.
+ * @param {string} applicationId - The application ID (doc ID in both file collections).
+ * @returns {Promise<Object<string, Object>>} - docType → document info.
+ */
+async function loadApplicationDocuments(applicationId) {
+    const [original, resubmitted] = await Promise.all([
+        firestoreDb.collection('applications_files').doc(applicationId).get(),
+        firestoreDb.collection(RESUBMISSION_FILES_COLLECTION).doc(applicationId).get()
+    ]);
+
+    const documents = {
+        ...(original.exists ? original.get('documents') : {}),
+        ...(resubmitted.exists ? resubmitted.get('documents') : {})
+    };
+    for (const docType of Object.keys(documents)) {
+        documents[docType] = { ...documents[docType], uploadedAt: toIsoString(documents[docType].uploadedAt) };
+    }
+    return documents;
+}
+
+// 3️⃣4️⃣ STUDENT: MY CURRENT APPLICATION (with document checklist status)
+app.get('/api/my/application', verifyToken, async (req, res) => {
+    try {
+        const trackerSnapshot = await firestoreDb.collection('current_application').doc(req.user.uid).get();
+        const applicationId = trackerSnapshot.exists ? trackerSnapshot.get('applicationId') : null;
+        if (!applicationId) return res.status(404).json({ success: false, message: "You have no current application." });
+
+        const applicationSnapshot = await firestoreDb.collection('scholarship_applications').doc(applicationId).get();
+        if (!applicationSnapshot.exists || applicationSnapshot.get('userId') !== req.user.uid) {
+            return res.status(404).json({ success: false, message: "You have no current application." });
+        }
+
+        const application = applicationSnapshot.data();
+        const [documents, program] = await Promise.all([loadApplicationDocuments(applicationId), findApplicationProgram(application)]);
+
+        res.json({
+            success: true,
+            application: toStudentApplicationView(applicationId, application),
+            checklist: getChecklistStatus(application.scholarshipType, documents, program)
+        });
+    } catch (error) {
+        console.error("My application error:", error);
+        res.status(500).json({ success: false, message: "Failed to load your application." });
+    }
+});
+
+// 3️⃣5️⃣ STUDENT: ALL MY APPLICATIONS (newest first)
+// NOTE: Requires a composite index on scholarship_applications (userId ASC, submittedAt DESC).
+app.get('/api/my/applications', verifyToken, async (req, res) => {
+    try {
+        const snapshot = await firestoreDb.collection('scholarship_applications')
+            .where('userId', '==', req.user.uid)
+            .orderBy('submittedAt', 'desc')
+            .get();
+
+        const trackerSnapshot = await firestoreDb.collection('current_application').doc(req.user.uid).get();
+        const currentApplicationId = trackerSnapshot.exists ? trackerSnapshot.get('applicationId') : null;
+
+        const applications = snapshot.docs.map((doc) => ({
+            ...toStudentApplicationView(doc.id, doc.data()),
+            isCurrent: doc.id === currentApplicationId
+        }));
+
+        res.json({ success: true, applications });
+    } catch (error) {
+        console.error("My applications error:", error);
+        res.status(500).json({ success: false, message: "Failed to load your applications." });
+    }
+});
+
+// 3️⃣6️⃣ STUDENT: CANCEL MY CURRENT APPLICATION
+// Allowed until a decision is made; Approved and Rejected applications cannot be cancelled.
+app.post('/api/my/application/cancel', verifyToken, async (req, res) => {
+    const { reason } = req.body || {};
+    const trackerRef = firestoreDb.collection('current_application').doc(req.user.uid);
+
+    try {
+        const result = await firestoreDb.runTransaction(async (transaction) => {
+            const trackerSnapshot = await transaction.get(trackerRef);
+            const applicationId = trackerSnapshot.exists ? trackerSnapshot.get('applicationId') : null;
+            if (!applicationId) throw createHttpError(404, "You have no current application.");
+
+            const applicationRef = firestoreDb.collection('scholarship_applications').doc(applicationId);
+            const applicationSnapshot = await transaction.get(applicationRef);
+            if (!applicationSnapshot.exists || applicationSnapshot.get('userId') !== req.user.uid) {
+                throw createHttpError(404, "You have no current application.");
+            }
+
+            const currentData = applicationSnapshot.data();
+            if (!canTransition(currentData.status, APPLICATION_STATUSES.CANCELLED)) {
+                throw createHttpError(409, `An application that is ${currentData.status} cannot be cancelled.`, {
+                    currentStatus: currentData.status
+                });
+            }
+
+            const updatePayload = {
+                status: APPLICATION_STATUSES.CANCELLED,
+                cancellationReason: reason ? String(reason).slice(0, 500) : null,
+                cancelledBy: 'student',
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                decidedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+
+            recordHistoryEntry(transaction, applicationRef, {
+                type: HISTORY_ENTRY_TYPES.STATUS_CHANGE,
+                // Recorded as the student even if the token predates role claims
+                actor: { ...buildActor(req.user), role: ROLES.STUDENT },
+                before: { status: currentData.status },
+                after: { status: APPLICATION_STATUSES.CANCELLED, cancellationReason: updatePayload.cancellationReason }
+            });
+
+            // Same Cancelled email as an admin cancellation, sent by the outbox worker
+            updatePayload.statusNotification = enqueueStatusNotification(transaction, {
+                applicationId,
+                userId: req.user.uid,
+                status: APPLICATION_STATUSES.CANCELLED,
+                scholarshipType: currentData.scholarshipType
+            });
+
             transaction.update(applicationRef, updatePayload);
+            transaction.set(trackerRef, {
+                status: APPLICATION_STATUSES.CANCELLED,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+
+            return { applicationId, previousStatus: currentData.status };
+        });
+
+        res.json({
+            success: true,
+            message: "Your application has been cancelled.",
+            ...result,
+            newStatus: APPLICATION_STATUSES.CANCELLED
         });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error("Cancel application error:", error);
+        res.status(500).json({ success: false, message: "Failed to cancel your application." });
+    }
+});
+
+// 1️⃣ REGISTER
+app.post('/api/register', authRateLimits.register, async (req, res) => {
+    // Ensure all required fields are present
+    const { firstName, middleName, lastName, course, yearLevel, email, password, preferredLanguage } = req.body;
+    if (!email || !password) {
+        return res.status(400).json({ success: false, message: "Email and password required." });
+    }
+
+    const policyCheck = validatePassword(password);
+    if (!policyCheck.valid) {
+        return res.status(400).json({ success: false, message: PASSWORD_POLICY_DESCRIPTION, errors: policyCheck.errors });
+    }
+
+    // Use a placeholder UID/studentNo (e.g., Firestore doc ID) since the client doesn't provide it
+    const generatedStudentNo = admin.firestore().collection('students').doc().id; 
+    
+    try {
+        // Check for existing user in MongoDB
+        if (await studentsCollection.findOne({ email })) {
+            return res.status(409).json({ success: false, message: "Email already registered." });
+        }
+
+        const challenge = await createVerificationChallenge();
+
+        // Create Firebase Auth user
+        await admin.auth().createUser({
+            uid: generatedStudentNo,
+            email,
+            password,
+            displayName: `${firstName} ${lastName}`,
+            emailVerified: false
+        });
+
+        // Hash password for MongoDB storage
+        const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+        // Insert into MongoDB
+        await studentsCollection.insertOne({
+            firstName, 
+            middleName: middleName || null, 
+            lastName, 
+            studentNo: generatedStudentNo,
+            course, yearLevel, email,
+            password: hashedPassword,
+            role: "student",
+            preferredLanguage: resolveLocale(preferredLanguage),
+            isVerified: false,
+            ...challenge.fields,
+            createdAt: new Date()
+        });
+
+        await sendCustomVerificationCodeEmail(email, challenge.code, resolveLocale(preferredLanguage), {
+            verificationUrl: challenge.verificationUrl,
+            expiresInMinutes: VERIFICATION_CODE_TTL_MINUTES
+        });
+
+        res.json({ success: true, message: "Registration successful. Verification code sent.", needsVerification: true });
+    } catch (error) {
+        // Handle Firebase/MongoDB creation errors
+        console.error("Registration error:", error);
+        res.status(500).json({ success: false, message: "Registration failed." });
+    }
+});
+
+// 2️⃣ LOGIN & SYNC
+app.post('/api/login-and-sync', authRateLimits.login, async (req, res) => {
+    const { email, password } = req.body;
+    if (!email || !password) return res.status(400).json({ success: false, message: "Email and password required." });
+
+    const lockedMessage = "Too many failed login attempts. Please try again later or reset your password.";
+    try {
+        const lockedUntil = await loginLockout.getLockedUntil(email);
+        if (lockedUntil) return tooManyRequests(res, lockedMessage, lockedUntil);
+
+        // Unknown emails count too, so probing addresses is throttled the same way
+        const failLogin = async () => {
+            const newLock = await loginLockout.recordFailure(email);
+            if (newLock) return tooManyRequests(res, lockedMessage, newLock);
+            return res.status(401).json({ success: false, message: "Invalid email or password." });
+        };
+
+        const user = await studentsCollection.findOne({ email });
+        if (!user) return failLogin();
+        if (!user.isVerified) return res.status(403).json({ success: false, message: "Account not verified.", needsVerification: true });
+
+        const isMatch = await bcrypt.compare(password, user.password);
+        if (!isMatch) return failLogin();
+        await loginLockout.recordSuccess(email);
+
+        // Sync MongoDB user data to Firebase Auth and Firestore
+        const firebaseUid = await syncUserToFirebase(user);
+        
+        // Create custom token for client-side Firebase Auth
+        const token = await admin.auth().createCustomToken(firebaseUid);
+
+        // Return necessary user data and custom token
+        res.json({
+            success: true,
+            message: "Login successful.",
+            user: {
+                studentNo: user.studentNo,
+                firebaseUid,
+                firstName: user.firstName,
+                middleName: user.middleName || null, 
+                lastName: user.lastName,
+                email,
+                role: user.role
+            },
+            token
+        });
+    } catch (error) {
+        console.error("Login error:", error);
+        res.status(500).json({ success: false, message: "Login failed." });
+    }
+});
+
+/**
+ * Marks a student's email as verified everywhere and spends the challenge.
+ * @param {Object} user - The MongoDB student.
+ * @param {Object} challengeFilter - Must still match, so a code or link is only used once.
+ * @returns {Promise<boolean>} - False if the challenge was already used.
+ */
+async function completeEmailVerification(user, challengeFilter) {
+    // 1. Update MongoDB
+    const result = await studentsCollection.updateOne(
+        { _id: user._id, ...challengeFilter },
+        { $set: { isVerified: true, verifiedAt: new Date() }, $unset: VERIFICATION_FIELDS }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    // 2. Update Firebase Auth and Firestore
+    await admin.auth().updateUser(user.studentNo, { emailVerified: true });
+    // Re-sync with the updated isVerified field
+    await syncUserToFirebase({ ...user, isVerified: true });
+    return true;
+}
+
+// 3️⃣ VERIFY CODE
+app.post('/api/verify-code', authRateLimits.verifyCode, async (req, res) => {
+    const { email, code } = req.body;
+    if (!email || !code) return res.status(400).json({ success: false, message: "Email and code required." });
+
+    try {
+        const user = await studentsCollection.findOne({ email });
+        if (!user) return res.status(404).json({ success: false, message: "User not found." });
+        if (user.isVerified) return res.json({ success: true, message: "Already verified." });
+
+        const check = await checkVerificationCode(studentsCollection, user, code);
+        if (!check.valid && check.reason === 'expired') {
+            return res.status(400).json({ success: false, message: "Code expired or too many attempts. Request new code." });
+        }
+        if (!check.valid) {
+            return res.status(400).json({ success: false, message: "Invalid code.", attemptsRemaining: check.attemptsRemaining });
+        }
+
+        if (!(await completeEmailVerification(user, { verificationCodeHash: user.verificationCodeHash }))) {
+            return res.status(400).json({ success: false, message: "Code expired or too many attempts. Request new code." });
+        }
+
+        res.json({ success: true, message: "Email verified. You can log in.", userEmail: email });
+    } catch (error) {
+        console.error("Verification error:", error);
+        res.status(500).json({ success: false, message: "Verification failed." });
+    }
+});
+
+// 4️⃣4️⃣ VERIFY EMAIL BY LINK
+// Body: { token } from the emailed link. The portal page posts it, so link scanners
+// that prefetch GET URLs cannot spend the single-use token.
+app.post('/api/verify-link', authRateLimits.verifyLink, async (req, res) => {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') return res.status(400).json({ success: false, message: "Verification token required." });
+
+    const invalidLink = { success: false, message: "This verification link is invalid or has expired. Request a new code." };
+    try {
+        const verificationLinkTokenHash = hashLinkToken(token);
+        const user = await studentsCollection.findOne({ verificationLinkTokenHash });
+        if (!user) return res.status(400).json(invalidLink);
+        if (user.isVerified) return res.json({ success: true, message: "Already verified." });
+        if (!user.codeExpiresAt || user.codeExpiresAt < new Date()) return res.status(400).json(invalidLink);
+
+        if (!(await completeEmailVerification(user, { verificationLinkTokenHash }))) {
+            return res.status(400).json(invalidLink);
+        }
+
+        res.json({ success: true, message: "Email verified. You can log in.", userEmail: user.email });
+    } catch (error) {
+        console.error("Link verification error:", error);
+        res.status(500).json({ success: false, message: "Verification failed." });
+    }
+});
+
+// 4️⃣ RESEND VERIFICATION
+app.post('/api/resend-verification', authRateLimits.resendVerification, async (req, res) => {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ success: false, message: "Email required." });
+
+    try {
+        const user = await studentsCollection.findOne({ email });
+        if (!user) return res.status(404).json({ success: false, message: "User not found." });
+        if (user.isVerified) return res.json({ success: true, message: "Already verified." });
+
+        // A new challenge replaces the old code and link, and resets the attempt count
+        const challenge = await createVerificationChallenge();
+        await studentsCollection.updateOne({ email }, { $set: challenge.fields, $unset: { verificationCode: "" } });
+        await sendCustomVerificationCodeEmail(email, challenge.code, user.preferredLanguage, {
+            verificationUrl: challenge.verificationUrl,
+            expiresInMinutes: VERIFICATION_CODE_TTL_MINUTES
+        });
+
+        res.json({ success: true, message: `New code sent to ${email}.` });
+    } catch (error) {
+        console.error("Resend verification error:", error);
+        res.status(500).json({ success: false, message: "Resend failed." });
+    }
+});
+
+// 1️⃣2️⃣ FORGOT PASSWORD (sends a time-limited reset code)
+app.post('/api/forgot-password', authRateLimits.forgotPassword, async (req, res) => {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ success: false, message: "Email required." });
+
+    // Same response whether or not the account exists, so addresses cannot be probed
+    const genericResponse = {
+        success: true,
+        message: "If an account exists for this email, a reset code has been sent.",
+        passwordPolicy: PASSWORD_POLICY_DESCRIPTION
+    };
+
+    try {
+        const user = await studentsCollection.findOne({ email });
+        if (!user) return res.json(genericResponse);
+
+        const resetCode = generateVerificationCode();
+        const resetCodeHash = await bcrypt.hash(resetCode, saltRounds);
+        const resetExpiresAt = new Date(Date.now() + PASSWORD_RESET_CODE_TTL_MINUTES * 60 * 1000);
+
+        await studentsCollection.updateOne(
+            { email },
+            { $set: { passwordResetCodeHash: resetCodeHash, passwordResetExpiresAt: resetExpiresAt, passwordResetAttempts: 0 } }
+        );
+        await sendPasswordResetCodeEmail(email, resetCode, PASSWORD_RESET_CODE_TTL_MINUTES, user.preferredLanguage);
+
+        res.json(genericResponse);
+    } catch (error) {
+        console.error("Forgot password error:", error);
+        res.status(500).json({ success: false, message: "Failed to start password reset." });
+    }
+});
+
+// 1️⃣3️⃣ RESET PASSWORD (checks the code, updates MongoDB and Firebase Auth)
+app.post('/api/reset-password', authRateLimits.resetPassword, async (req, res) => {
+    const { email, code, newPassword } = req.body;
+    if (!email || !code || !newPassword) {
+        return res.status(400).json({ success: false, message: "Email, code and new password required." });
+    }
+
+    const policyCheck = validatePassword(newPassword);
+    if (!policyCheck.valid) {
+        return res.status(400).json({ success: false, message: PASSWORD_POLICY_DESCRIPTION, errors: policyCheck.errors });
+    }
+
+    try {
+        const user = await studentsCollection.findOne({ email });
+        if (!user || !user.passwordResetCodeHash) {
+            return res.status(400).json({ success: false, message: "Invalid or expired reset code." });
+        }
+
+        const expireCode = async () => {
+            await studentsCollection.updateOne(
+                { _id: user._id, passwordResetCodeHash: user.passwordResetCodeHash },
+                { $unset: { passwordResetCodeHash: "", passwordResetExpiresAt: "", passwordResetAttempts: "" } }
+            );
+            return res.status(400).json({ success: false, message: "Reset code expired. Request a new code." });
+        };
+        if (user.passwordResetExpiresAt < new Date()) return expireCode();
+
+        // The attempt is counted before the code is compared (as in verificationCodes.js),
+        // so parallel guesses cannot exceed the limit
+        const claimed = await studentsCollection.findOneAndUpdate(
+            {
+                _id: user._id,
+                passwordResetCodeHash: user.passwordResetCodeHash,
+                passwordResetAttempts: { $not: { $gte: PASSWORD_RESET_MAX_ATTEMPTS } }
+            },
+            { $inc: { passwordResetAttempts: 1 } },
+            { returnDocument: 'after', projection: { passwordResetAttempts: 1 } }
+        );
+        if (!claimed) return expireCode();
 
-        // 4. Update the current_application tracker (if applicable)
-        if (currentData.userId) {
-            const currentAppRef = firestoreDb.collection('current_application').doc(currentData.userId);
-            await currentAppRef.update({
-                status: newStatus,
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            });
+        const isMatch = await bcrypt.compare(String(code), user.passwordResetCodeHash);
+        if (!isMatch) {
+            return res.status(400).json({ success: false, message: "Invalid or expired reset code." });
         }
 
-        res.status(200).json({ 
-            success: true, 
-            message: `Application status updated to ${newStatus}.`,
-            verificationSaved: Object.keys(documentVerificationUpdates).length > 0,
-            newStatus: newStatus
+        await updatePasswordEverywhere(user, newPassword, {
+            passwordResetCodeHash: "",
+            passwordResetExpiresAt: "",
+            passwordResetAttempts: ""
         });
 
+        res.json({ success: true, message: "Password has been reset. You can log in with your new password." });
     } catch (error) {
-        console.error("💥 Transactional update failed for application status:", error);
-        res.status(500).json({ success: false, message: "Server failed to update application status and verification details." });
+        console.error("Reset password error:", error);
+        res.status(500).json({ success: false, message: "Password reset failed." });
     }
 });
 
+// 1️⃣4️⃣ CHANGE PASSWORD (authenticated)
+app.post('/api/change-password', verifyToken, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ success: false, message: "Current and new password required." });
+    }
 
-// 1️⃣ REGISTER
-app.post('/api/register', async (req, res) => {
-    // Ensure all required fields are present
-    const { firstName, middleName, lastName, course, yearLevel, email, password } = req.body;
-    if (!email || !password) {
-        return res.status(400).json({ success: false, message: "Email and password required." });
+    const policyCheck = validatePassword(newPassword);
+    if (!policyCheck.valid) {
+        return res.status(400).json({ success: false, message: PASSWORD_POLICY_DESCRIPTION, errors: policyCheck.errors });
+    }
+    if (currentPassword === newPassword) {
+        return res.status(400).json({ success: false, message: "New password must be different from the current password." });
     }
 
-    // Use a placeholder UID/studentNo (e.g., Firestore doc ID) since the client doesn't provide it
-    const generatedStudentNo = admin.firestore().collection('students').doc().id; 
-    
     try {
-        // Check for existing user in MongoDB
-        if (await studentsCollection.findOne({ email })) {
-            return res.status(409).json({ success: false, message: "Email already registered." });
-        }
+        const user = await studentsCollection.findOne({ studentNo: req.user.uid });
+        if (!user) return res.status(404).json({ success: false, message: "User not found." });
 
-        const verificationCode = generateVerificationCode();
-        const codeExpiresAt = new Date(Date.now() + 15 * 60 * 1000);
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!isMatch) return res.status(401).json({ success: false, message: "Current password is incorrect." });
 
-        // Create Firebase Auth user
-        await admin.auth().createUser({
-            uid: generatedStudentNo,
-            email,
-            password,
-            displayName: `${firstName} ${lastName}`,
-            emailVerified: false
-        });
+        await updatePasswordEverywhere(user, newPassword);
 
-        // Hash password for MongoDB storage
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
+        res.json({ success: true, message: "Password changed. Please sign in again." });
+    } catch (error) {
+        console.error("Change password error:", error);
+        res.status(500).json({ success: false, message: "Password change failed." });
+    }
+});
 
-        // Insert into MongoDB
-        await studentsCollection.insertOne({
-            firstName, 
-            middleName: middleName || null, 
-            lastName, 
-            studentNo: generatedStudentNo,
-            course, yearLevel, email,
-            password: hashedPassword,
-            role: "student",
-            isVerified: false,
-            verificationCode,
-            codeExpiresAt,
-            createdAt: new Date()
-        });
+// 4️⃣5️⃣ STUDENT: MY PROFILE
+app.get('/api/my/profile', verifyToken, async (req, res) => {
+    try {
+        const student = await studentsCollection.findOne({ studentNo: req.user.uid });
+        if (!student) return res.status(404).json({ success: false, message: "User not found." });
 
-        await sendCustomVerificationCodeEmail(email, verificationCode);
+        res.json({ success: true, profile: toProfileView(student) });
+    } catch (error) {
+        console.error("Get profile error:", error);
+        res.status(500).json({ success: false, message: "Failed to load your profile." });
+    }
+});
 
-        res.json({ success: true, message: "Registration successful. Verification code sent.", needsVerification: true });
+/**
+ * Copies a student's profile from MongoDB to Firebase Auth (display name) and the
+ * Firestore `students` document. Unlike syncUserToFirebase, a failure is reported
+ * instead of only logged, so the caller can tell the student.
+ * @param {Object} student - The MongoDB student, already updated.
+ * @returns {Promise<{complete: boolean, stores: Object}>} - stores.auth / stores.firestore:
+ *   { status: 'ok' } or { status: 'failed', error }.
+ */
+async function syncProfileEverywhere(student) {
+    const uid = student.studentNo;
+    const steps = {
+        auth: () => admin.auth().updateUser(uid, { displayName: `${student.firstName} ${student.lastName}` }),
+        firestore: () => firestoreDb.collection('students').doc(uid).set({
+            firstName: student.firstName,
+            middleName: student.middleName || null,
+            lastName: student.lastName,
+            course: student.course,
+            yearLevel: student.yearLevel,
+            preferredLanguage: resolveLocale(student.preferredLanguage)
+        }, { merge: true })
+    };
+
+    const stores = {};
+    for (const [store, step] of Object.entries(steps)) {
+        try {
+            await step();
+            stores[store] = { status: 'ok' };
+        } catch (error) {
+            console.error(`❌ Profile sync to ${store} failed for ${uid}:`, error);
+            stores[store] = { status: 'failed', error: error.message || String(error) };
+        }
+    }
+    return { complete: Object.values(stores).every((result) => result.status === 'ok'), stores };
+}
+
+// 4️⃣6️⃣ STUDENT: UPDATE MY PROFILE (only the fields sent are changed)
+// Body: any of firstName, middleName, lastName, course, yearLevel, preferredLanguage.
+// MongoDB is updated first, then Firebase Auth (display name) and Firestore are re-synced from it.
+// If either of those fails the response is 502 with a per-store `sync` report; sending the same update again retries it.
+app.put('/api/my/profile', verifyToken, async (req, res) => {
+    try {
+        const changes = parseProfileUpdate(req.body);
+
+        const student = await studentsCollection.findOneAndUpdate(
+            { studentNo: req.user.uid },
+            { $set: { ...changes, profileUpdatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (!student) return res.status(404).json({ success: false, message: "User not found." });
+
+        const sync = await syncProfileEverywhere(student);
+        if (!sync.complete) {
+            return res.status(502).json({
+                success: false,
+                message: "Your profile was saved but could not be updated everywhere. Please try again.",
+                profile: toProfileView(student),
+                sync
+            });
+        }
+
+        res.json({ success: true, message: "Profile updated.", profile: toProfileView(student), sync });
     } catch (error) {
-        // Handle Firebase/MongoDB creation errors
-        console.error("Registration error:", error);
-        res.status(500).json({ success: false, message: "Registration failed." });
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error("Update profile error:", error);
+        res.status(500).json({ success: false, message: "Failed to update your profile." });
     }
 });
 
-// 2️⃣ LOGIN & SYNC
-app.post('/api/login-and-sync', async (req, res) => {
-    const { email, password } = req.body;
-    if (!email || !password) return res.status(400).json({ success: false, message: "Email and password required." });
+/**
+ * Checks that no other account uses an email address, in MongoDB or in Firebase Auth.
+ * @param {string} email - The normalised new address.
+ * @param {string} studentNo - The account asking for it.
+ * @throws {Error} - 409 (createHttpError) if the address is taken.
+ */
+async function assertEmailAvailable(email, studentNo) {
+    // Older accounts were stored with the case they were registered with
+    const owner = await studentsCollection.findOne(
+        { email },
+        { projection: { studentNo: 1 }, collation: { locale: 'en', strength: 2 } }
+    );
+    if (owner && owner.studentNo !== studentNo) throw createHttpError(409, "Email already registered.");
 
     try {
-        const user = await studentsCollection.findOne({ email });
-        if (!user) return res.status(401).json({ success: false, message: "Invalid email or password." });
-        if (!user.isVerified) return res.status(403).json({ success: false, message: "Account not verified.", needsVerification: true });
+        const authUser = await admin.auth().getUserByEmail(email);
+        if (authUser.uid !== studentNo) throw createHttpError(409, "Email already registered.");
+    } catch (error) {
+        if (error.code !== 'auth/user-not-found') throw error;
+    }
+}
 
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(401).json({ success: false, message: "Invalid email or password." });
+/**
+ * Moves an account to its confirmed pending email in MongoDB, Firebase Auth and
+ * Firestore. If Firebase Auth rejects the new address, MongoDB is put back.
+ * All existing sessions are revoked afterwards.
+ * @param {Object} user - The MongoDB student, with pendingEmail and emailChangeCodeHash.
+ * @returns {Promise<boolean>} - False if the change was already applied or cancelled.
+ */
+async function applyEmailChange(user) {
+    const previousEmail = user.email;
+    const newEmail = user.pendingEmail;
 
-        // Sync MongoDB user data to Firebase Auth and Firestore
-        const firebaseUid = await syncUserToFirebase(user);
-        
-        // Create custom token for client-side Firebase Auth
-        const token = await admin.auth().createCustomToken(firebaseUid);
+    try {
+        const result = await studentsCollection.updateOne(
+            { _id: user._id, pendingEmail: newEmail, emailChangeCodeHash: user.emailChangeCodeHash },
+            { $set: { email: newEmail, emailChangedAt: new Date() }, $unset: EMAIL_CHANGE_FIELDS }
+        );
+        if (result.modifiedCount === 0) return false;
+    } catch (error) {
+        // Unique index on email: another account took the address after the code was sent
+        if (error.code === 11000) throw createHttpError(409, "Email already registered.");
+        throw error;
+    }
 
-        // Return necessary user data and custom token
-        res.json({
-            success: true,
-            message: "Login successful.",
-            user: {
-                studentNo: user.studentNo,
-                firebaseUid,
-                firstName: user.firstName,
-                middleName: user.middleName || null, 
-                lastName: user.lastName,
-                email,
-                role: user.role
-            },
-            token
-        });
+    try {
+        // The code proved the student reads this mailbox
+        await admin.auth().updateUser(user.studentNo, { email: newEmail, emailVerified: true });
     } catch (error) {
-        console.error("Login error:", error);
-        res.status(500).json({ success: false, message: "Login failed." });
+        await studentsCollection.updateOne({ _id: user._id }, { $set: { email: previousEmail }, $unset: { emailChangedAt: "" } });
+        if (error.code === 'auth/email-already-exists') throw createHttpError(409, "Email already registered.");
+        throw error;
     }
-});
 
-// 3️⃣ VERIFY CODE
-app.post('/api/verify-code', async (req, res) => {
-    const { email, code } = req.body;
-    if (!email || !code) return res.status(400).json({ success: false, message: "Email and code required." });
+    await syncUserToFirebase({ ...user, email: newEmail });
+    await admin.auth().revokeRefreshTokens(user.studentNo);
+    await sendEmailChangedNotice(previousEmail, newEmail, user.preferredLanguage);
+    return true;
+}
+
+// 4️⃣7️⃣ STUDENT: REQUEST AN EMAIL CHANGE (sends a code to the new address)
+// Body: { newEmail, currentPassword }. Nothing changes until the code is confirmed (4️⃣8️⃣).
+app.post('/api/my/email-change', verifyToken, authRateLimits.emailChange, async (req, res) => {
+    const { newEmail, currentPassword } = req.body;
+    if (!newEmail || !currentPassword) {
+        return res.status(400).json({ success: false, message: "New email and current password required." });
+    }
 
     try {
-        const user = await studentsCollection.findOne({ email });
+        const email = parseEmailAddress(newEmail);
+
+        const user = await studentsCollection.findOne({ studentNo: req.user.uid });
         if (!user) return res.status(404).json({ success: false, message: "User not found." });
-        if (user.isVerified) return res.json({ success: true, message: "Already verified." });
 
-        const now = new Date();
-        if (user.verificationCode !== code) return res.status(400).json({ success: false, message: "Invalid code." });
-        if (user.codeExpiresAt && user.codeExpiresAt < now) {
-            await studentsCollection.updateOne({ email }, { $unset: { verificationCode: "", codeExpiresAt: "" } });
-            return res.status(400).json({ success: false, message: "Code expired. Request new code." });
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!isMatch) return res.status(401).json({ success: false, message: "Current password is incorrect." });
+
+        if (email === user.email.toLowerCase()) {
+            return res.status(400).json({ success: false, message: "This is already your email address." });
         }
+        await assertEmailAvailable(email, user.studentNo);
 
-        // 1. Update MongoDB
-        await studentsCollection.updateOne(
-            { email },
-            { $set: { isVerified: true, verifiedAt: new Date() }, $unset: { verificationCode: "", codeExpiresAt: "" } }
-        );
+        // A new request replaces any pending one and resets the attempt count
+        const challenge = await createEmailChangeChallenge(email);
+        await studentsCollection.updateOne({ _id: user._id }, { $set: challenge.fields });
 
-        // 2. Update Firebase Auth and Firestore
-        await admin.auth().updateUser(user.studentNo, { emailVerified: true });
-        // Re-sync with the updated isVerified field
-        await syncUserToFirebase({ ...user, isVerified: true }); 
+        const sent = await sendEmailChangeCodeEmail(email, challenge.code, VERIFICATION_CODE_TTL_MINUTES, user.preferredLanguage);
+        if (!sent) {
+            await studentsCollection.updateOne({ _id: user._id }, { $unset: EMAIL_CHANGE_FIELDS });
+            return res.status(502).json({ success: false, message: "The confirmation code could not be sent. Please try again later." });
+        }
 
-        res.json({ success: true, message: "Email verified. You can log in.", userEmail: email });
+        res.json({
+            success: true,
+            message: `Confirmation code sent to ${email}. Your email will change once you enter it.`,
+            expiresInMinutes: VERIFICATION_CODE_TTL_MINUTES
+        });
     } catch (error) {
-        console.error("Verification error:", error);
-        res.status(500).json({ success: false, message: "Verification failed." });
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error("Email change request error:", error);
+        res.status(500).json({ success: false, message: "Failed to start the email change." });
     }
 });
 
-// 4️⃣ RESEND VERIFICATION
-app.post('/api/resend-verification', async (req, res) => {
-    const { email } = req.body;
-    if (!email) return res.status(400).json({ success: false, message: "Email required." });
+// 4️⃣8️⃣ STUDENT: CONFIRM AN EMAIL CHANGE
+// Body: { code } from the email sent to the new address. Signs the student out everywhere.
+app.post('/api/my/email-change/confirm', verifyToken, async (req, res) => {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ success: false, message: "Code required." });
 
+    const expired = { success: false, message: "Code expired or too many attempts. Request a new email change." };
     try {
-        const user = await studentsCollection.findOne({ email });
+        const user = await studentsCollection.findOne({ studentNo: req.user.uid });
         if (!user) return res.status(404).json({ success: false, message: "User not found." });
-        if (user.isVerified) return res.json({ success: true, message: "Already verified." });
+        if (!user.pendingEmail) return res.status(400).json({ success: false, message: "No email change is pending." });
 
-        const newCode = generateVerificationCode();
-        const newExpiresAt = new Date(Date.now() + 15 * 60 * 1000);
+        const check = await checkEmailChangeCode(studentsCollection, user, code);
+        if (!check.valid && check.reason === 'expired') return res.status(400).json(expired);
+        if (!check.valid) {
+            return res.status(400).json({ success: false, message: "Invalid code.", attemptsRemaining: check.attemptsRemaining });
+        }
 
-        await studentsCollection.updateOne({ email }, { $set: { verificationCode: newCode, codeExpiresAt: newExpiresAt } });
-        await sendCustomVerificationCodeEmail(email, newCode);
+        if (!(await applyEmailChange(user))) return res.status(400).json(expired);
 
-        res.json({ success: true, message: `New code sent to ${email}.` });
+        console.log(`📧 Student ${user.studentNo} changed email address`);
+        res.json({ success: true, message: "Email changed. Please sign in again with your new email.", email: user.pendingEmail });
     } catch (error) {
-        console.error("Resend verification error:", error);
-        res.status(500).json({ success: false, message: "Resend failed." });
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+        }
+        console.error("Email change confirmation error:", error);
+        res.status(500).json({ success: false, message: "Failed to change your email." });
+    }
+});
+
+// 4️⃣9️⃣ STUDENT: CANCEL A PENDING EMAIL CHANGE
+app.delete('/api/my/email-change', verifyToken, async (req, res) => {
+    try {
+        const result = await studentsCollection.updateOne(
+            { studentNo: req.user.uid, pendingEmail: { $exists: true } },
+            { $unset: EMAIL_CHANGE_FIELDS }
+        );
+        if (result.modifiedCount === 0) return res.status(404).json({ success: false, message: "No email change is pending." });
+
+        res.json({ success: true, message: "Email change cancelled." });
+    } catch (error) {
+        console.error("Cancel email change error:", error);
+        res.status(500).json({ success: false, message: "Failed to cancel the email change." });
     }
 });
 
 // 5️⃣ ADMIN: SEND STATUS EMAIL
-app.post('/api/send-status-email', verifyAdmin, async (req, res) => {
-    const { docId, status, email, name, scholarshipType } = req.body;
+// NOTE: update-application-status now queues this email automatically; this route is for ad-hoc sends only.
+app.post('/api/send-status-email', requirePermission(PERMISSIONS.NOTIFICATIONS_SEND), async (req, res) => {
+    const { docId, status, email, name, scholarshipType, locale } = req.body;
     if (!status || !email || !name || !scholarshipType) return res.status(400).json({ success: false, message: "Missing fields." });
 
     try {
-        await sendApplicationStatusEmail(email, name, scholarshipType, status);
+        // Use the student's language unless the caller picked one
+        const student = locale ? null : await studentsCollection.findOne({ email }, { projection: { preferredLanguage: 1 } });
+        await sendApplicationStatusEmail(email, name, scholarshipType, status, locale || student?.preferredLanguage);
         res.json({ success: true, message: `Status email sent to ${email}.` });
     } catch (error) {
         console.error("Send status email error:", error);
@@ -673,45 +2584,292 @@ app.post('/api/send-status-email', verifyAdmin, async (req, res) => {
     }
 });
 
-// 6️⃣ ADMIN: DELETE STUDENT
-app.delete('/api/admin/delete-student', verifyAdmin, async (req, res) => {
+// 6️⃣ ADMIN: DELETE STUDENT (full erasure)
+// Deletes the account everywhere, every uploaded file and file record, and anonymises the applications.
+// The response lists what happened in each store; run it again if `complete` is false.
+app.delete('/api/admin/delete-student', requirePermission(PERMISSIONS.STUDENTS_DELETE), async (req, res) => {
     const { studentNo, email } = req.body;
     if (!studentNo || !email) return res.status(400).json({ success: false, message: "UID and email required." });
+    if (studentNo === req.user.uid) return res.status(400).json({ success: false, message: "Admins cannot delete their own account." });
+
+    try {
+        // Both identifiers must point at the same person before anything is erased
+        const student = await studentsCollection.findOne({ studentNo }, { projection: { email: 1 } });
+        if (student && student.email !== email) {
+            return res.status(409).json({ success: false, message: "studentNo and email belong to different accounts." });
+        }
+
+        const report = await purgeStudentData({ userId: studentNo, studentsCollection, storage });
+        if (!report.found && report.complete) return res.status(404).json({ success: false, message: "No record found." });
+
+        console.log(`🗑️ Student ${studentNo} purged by ${req.user.uid} (complete: ${report.complete})`);
+        res.status(report.complete ? 200 : 207).json({
+            success: report.complete,
+            message: report.complete ? "Student deleted." : "Student partially deleted. Run the deletion again to finish.",
+            report
+        });
+    } catch (error) {
+        console.error("Deletion error:", error);
+        res.status(500).json({ success: false, message: "Deletion failed." });
+    }
+});
+
+// 🔟 ADMIN: GRANT ROLE
+app.post('/api/admin/roles/grant', requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+    const { studentNo, role } = req.body;
+    if (!studentNo || !role) return res.status(400).json({ success: false, message: "studentNo and role required." });
+    if (!isValidRole(role)) {
+        return res.status(400).json({ success: false, message: `Unknown role. Allowed roles: ${Object.values(ROLES).join(', ')}.` });
+    }
+    if (studentNo === req.user.uid && role !== ROLES.ADMIN) {
+        return res.status(400).json({ success: false, message: "Admins cannot remove their own admin role." });
+    }
+
+    try {
+        const result = await assignRole(studentNo, role);
+        if (!result) return res.status(404).json({ success: false, message: "Student not found." });
+
+        console.log(`🛡️ Role for ${studentNo} changed from ${result.previousRole} to ${role} by ${req.user.uid}`);
+        res.json({ success: true, message: `Role ${role} granted.`, studentNo, ...result });
+    } catch (error) {
+        console.error("Grant role error:", error);
+        res.status(500).json({ success: false, message: "Failed to grant role." });
+    }
+});
+
+// 1️⃣1️⃣ ADMIN: REVOKE ROLE (returns the account to the student role)
+app.post('/api/admin/roles/revoke', requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+    const { studentNo } = req.body;
+    if (!studentNo) return res.status(400).json({ success: false, message: "studentNo required." });
+    if (studentNo === req.user.uid) {
+        return res.status(400).json({ success: false, message: "Admins cannot revoke their own role." });
+    }
+
+    try {
+        const result = await assignRole(studentNo, ROLES.STUDENT);
+        if (!result) return res.status(404).json({ success: false, message: "Student not found." });
 
-    let mongoDeleted = false, authDeleted = false;
+        console.log(`🛡️ Role for ${studentNo} revoked (was ${result.previousRole}) by ${req.user.uid}`);
+        res.json({ success: true, message: "Role revoked.", studentNo, ...result });
+    } catch (error) {
+        console.error("Revoke role error:", error);
+        res.status(500).json({ success: false, message: "Failed to revoke role." });
+    }
+});
+
+// 1️⃣8️⃣ ADMIN: LIST FAILED / DEAD-LETTERED NOTIFICATIONS
+app.get('/api/admin/notifications', requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE), async (req, res) => {
+    const allowedStates = [NOTIFICATION_STATES.FAILED, NOTIFICATION_STATES.DEAD];
+    const states = req.query.state ? String(req.query.state).split(',') : allowedStates;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    if (states.some((state) => !Object.values(NOTIFICATION_STATES).includes(state))) {
+        return res.status(400).json({ success: false, message: `Unknown state. Allowed states: ${Object.values(NOTIFICATION_STATES).join(', ')}.` });
+    }
 
     try {
-        // 1. Delete from MongoDB
-        const mongoResult = await studentsCollection.deleteOne({ email });
-        mongoDeleted = mongoResult.deletedCount > 0;
+        const notifications = await listNotifications(states, limit);
+        res.json({ success: true, notifications });
+    } catch (error) {
+        console.error("List notifications error:", error);
+        res.status(500).json({ success: false, message: "Failed to list notifications." });
+    }
+});
 
-        // 2. Delete from Firebase Auth (using studentNo as the UID)
-        try { 
-            await admin.auth().deleteUser(studentNo); 
-            authDeleted = true; 
-        } 
-        catch (e) { 
-            console.warn("Firebase Auth deletion warning (user might not exist):", e.message);
+// 1️⃣9️⃣ ADMIN: RE-SEND A FAILED NOTIFICATION
+app.post('/api/admin/notifications/:jobId/resend', requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE), async (req, res) => {
+    try {
+        const requeued = await requeueNotification(req.params.jobId, req.user.uid);
+        if (!requeued) {
+            return res.status(404).json({ success: false, message: "No failed notification found with this ID." });
         }
 
-        // 3. Delete from Firestore (using studentNo as the Document ID)
-        try {
-            await firestoreDb.collection('students').doc(studentNo).delete();
-            await firestoreDb.collection('student_profiles').doc(studentNo).delete();
-        } 
-        catch (e) { 
-            console.warn("Firestore deletion warning (doc might not exist):", e.message); 
+        // Don't make the admin wait for the next worker tick
+        processDueNotifications().catch((error) => console.error("❌ Immediate notification run failed:", error));
+
+        res.status(202).json({ success: true, message: "Notification queued for re-sending.", jobId: req.params.jobId });
+    } catch (error) {
+        console.error("Resend notification error:", error);
+        res.status(500).json({ success: false, message: "Failed to re-send notification." });
+    }
+});
+
+// 2️⃣0️⃣ ADMIN: LIST EMAIL TEMPLATES
+app.get('/api/admin/email-templates', requirePermission(PERMISSIONS.EMAIL_TEMPLATES_PREVIEW), (req, res) => {
+    res.json({ success: true, templates: listTemplates() });
+});
+
+// 2️⃣1️⃣ ADMIN: PREVIEW AN EMAIL TEMPLATE WITH SAMPLE DATA
+// Query: ?locale=en|fil&format=json|html, plus any sample variable to override (e.g. &status=Rejected)
+app.get('/api/admin/email-templates/:name/preview', requirePermission(PERMISSIONS.EMAIL_TEMPLATES_PREVIEW), (req, res) => {
+    const { locale, format = 'json', ...overrides } = req.query;
+
+    const overrideCheck = parsePreviewOverrides(req.params.name, overrides);
+    if (!overrideCheck) return res.status(404).json({ success: false, message: "Email template not found." });
+    if (overrideCheck.errors.length > 0) {
+        return res.status(400).json({ success: false, message: overrideCheck.errors.join(' '), errors: overrideCheck.errors });
+    }
+
+    const preview = renderTemplatePreview(req.params.name, locale, overrideCheck.values);
+
+    if (format === 'html') {
+        return res.type('html').send(preview.html);
+    }
+    res.json({ success: true, template: req.params.name, ...preview });
+});
+
+/**
+ * Parses a program ID route parameter.
+ * @returns {ObjectId|null} - Null if the ID is not a valid ObjectId.
+ */
+function parseProgramId(programId) {
+    return ObjectId.isValid(programId) ? new ObjectId(programId) : null;
+}
+
+// 2️⃣6️⃣ ADMIN: LIST ALL SCHOLARSHIP PROGRAMS
+app.get('/api/admin/scholarship-programs', requirePermission(PERMISSIONS.PROGRAMS_MANAGE), async (req, res) => {
+    try {
+        const programs = await programsCollection.find().sort({ name: 1 }).toArray();
+        res.json({ success: true, programs: programs.map(toProgramResponse) });
+    } catch (error) {
+        console.error("List programs error:", error);
+        res.status(500).json({ success: false, message: "Failed to load scholarship programs." });
+    }
+});
+
+// 2️⃣7️⃣ ADMIN: CREATE A SCHOLARSHIP PROGRAM
+app.post('/api/admin/scholarship-programs', requirePermission(PERMISSIONS.PROGRAMS_MANAGE), async (req, res) => {
+    const { errors, program } = validateProgramInput(req.body || {});
+    if (errors.length > 0) return res.status(400).json({ success: false, message: errors.join(' '), errors });
+
+    try {
+        const now = new Date();
+        const document = { ...program, createdAt: now, createdBy: req.user.uid, updatedAt: now, updatedBy: req.user.uid };
+        const result = await programsCollection.insertOne(document);
+
+        res.status(201).json({ success: true, message: "Scholarship program created.", program: toProgramResponse({ _id: result.insertedId, ...document }) });
+    } catch (error) {
+        if (error.code === 11000) return res.status(409).json({ success: false, message: "A program with this name already exists." });
+        console.error("Create program error:", error);
+        res.status(500).json({ success: false, message: "Failed to create scholarship program." });
+    }
+});
+
+// 2️⃣8️⃣ ADMIN: UPDATE A SCHOLARSHIP PROGRAM (only the fields sent are changed)
+// NOTE: Renaming a program does not rename the scholarshipType on existing applications; they keep their programId.
+// requiredDocuments and optionalDocuments are replaced together and apply to open applications too.
+app.put('/api/admin/scholarship-programs/:programId', requirePermission(PERMISSIONS.PROGRAMS_MANAGE), async (req, res) => {
+    const programId = parseProgramId(req.params.programId);
+    if (!programId) return res.status(400).json({ success: false, message: "Invalid program ID." });
+
+    const { errors, program } = validateProgramInput(req.body || {}, { partial: true });
+    if (errors.length > 0) return res.status(400).json({ success: false, message: errors.join(' '), errors });
+    if (Object.keys(program).length === 0) return res.status(400).json({ success: false, message: "No fields to update." });
+
+    try {
+        // Programs stored before they had document lists keep their name's requirements through a rename
+        const existing = await programsCollection.findOne({ _id: programId }, { projection: { name: 1, requiredDocuments: 1 } });
+        if (!existing) return res.status(404).json({ success: false, message: "Scholarship program not found." });
+        if (program.name && program.name !== existing.name && !program.requiredDocuments && !existing.requiredDocuments) {
+            const { required, optional } = getRequirements(existing.name);
+            Object.assign(program, { requiredDocuments: [...required], optionalDocuments: [...optional] });
         }
 
-        if (!mongoDeleted && !authDeleted) return res.status(404).json({ success: false, message: "No record found." });
+        const updated = await programsCollection.findOneAndUpdate(
+            { _id: programId },
+            { $set: { ...program, updatedAt: new Date(), updatedBy: req.user.uid } },
+            { returnDocument: 'after' }
+        );
+        if (!updated) return res.status(404).json({ success: false, message: "Scholarship program not found." });
 
-        res.json({ success: true, message: "Student deleted.", mongoDeleted, authDeleted });
+        res.json({ success: true, message: "Scholarship program updated.", program: toProgramResponse(updated) });
     } catch (error) {
-        console.error("Deletion error:", error);
-        res.status(500).json({ success: false, message: "Deletion failed." });
+        if (error.code === 11000) return res.status(409).json({ success: false, message: "A program with this name already exists." });
+        console.error("Update program error:", error);
+        res.status(500).json({ success: false, message: "Failed to update scholarship program." });
     }
 });
 
+// 2️⃣9️⃣ ADMIN: DELETE A SCHOLARSHIP PROGRAM
+// Programs with applications cannot be deleted; set isActive to false instead.
+app.delete('/api/admin/scholarship-programs/:programId', requirePermission(PERMISSIONS.PROGRAMS_MANAGE), async (req, res) => {
+    const programId = parseProgramId(req.params.programId);
+    if (!programId) return res.status(400).json({ success: false, message: "Invalid program ID." });
+
+    try {
+        const applications = await firestoreDb.collection('scholarship_applications')
+            .where('programId', '==', programId.toString())
+            .limit(1)
+            .get();
+        if (!applications.empty) {
+            return res.status(409).json({ success: false, message: "This program has applications. Deactivate it instead of deleting it." });
+        }
+
+        const result = await programsCollection.deleteOne({ _id: programId });
+        if (result.deletedCount === 0) return res.status(404).json({ success: false, message: "Scholarship program not found." });
+
+        res.json({ success: true, message: "Scholarship program deleted." });
+    } catch (error) {
+        console.error("Delete program error:", error);
+        res.status(500).json({ success: false, message: "Failed to delete scholarship program." });
+    }
+});
+
+// 4️⃣1️⃣ ADMIN: RECONCILE STUDENT IDENTITIES (MongoDB is the source of truth)
+// Body: { apply: true } to repair; anything else is a dry run that only reports drift.
+// The same job runs from the command line: npm run reconcile -- [--apply]
+app.post('/api/admin/reconcile-identities', requirePermission(PERMISSIONS.ACCOUNTS_RECONCILE), async (req, res) => {
+    const apply = req.body?.apply === true;
+    try {
+        const report = await reconcileIdentities({ studentsCollection, apply });
+        console.log(`🔁 Identity reconciliation (${report.mode}) by ${req.user.uid}: ${JSON.stringify(report.counts)}`);
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error("Identity reconciliation error:", error);
+        res.status(500).json({ success: false, message: "Identity reconciliation failed." });
+    }
+});
+
+/**
+ * Streams a student's personal-data archive as a zip download.
+ * @param {import('express').Response} res - The response to stream to.
+ * @param {string} userId - The student's UID.
+ * @param {string} requestedBy - UID of the caller, for the log.
+ */
+async function sendStudentDataExport(res, userId, requestedBy) {
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="personal_data_${userId}_${new Date().toISOString().slice(0, 10)}.zip"`);
+
+    try {
+        const summary = await writeStudentDataExport(res, { userId, studentsCollection, storage });
+        console.log(`📦 Personal-data export for ${userId} by ${requestedBy}: ${JSON.stringify(summary)}`);
+    } catch (error) {
+        console.error("Personal data export error:", error);
+        // A truncated zip must not look complete
+        if (res.headersSent) return res.destroy(error);
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ success: false, message: "Failed to export personal data." });
+    }
+}
+
+// 4️⃣2️⃣ ADMIN: EXPORT A STUDENT'S PERSONAL DATA (zip: profile, applications, documents)
+app.get('/api/admin/students/:studentNo/data-export', requirePermission(PERMISSIONS.STUDENTS_DATA_EXPORT), async (req, res) => {
+    try {
+        const student = await studentsCollection.findOne({ studentNo: req.params.studentNo }, { projection: { _id: 1 } });
+        if (!student) return res.status(404).json({ success: false, message: "Student not found." });
+    } catch (error) {
+        console.error("Personal data export lookup error:", error);
+        return res.status(500).json({ success: false, message: "Failed to export personal data." });
+    }
+
+    await sendStudentDataExport(res, req.params.studentNo, req.user.uid);
+});
+
+// 4️⃣3️⃣ STUDENT: DOWNLOAD MY PERSONAL DATA
+app.get('/api/my/data-export', verifyToken, async (req, res) => {
+    await sendStudentDataExport(res, req.user.uid, req.user.uid);
+});
+
 // 🛑 NEW: Global 404 Handler (must be the last route)
 // If no route handled the request, return JSON 404
 app.use((req, res, next) => {
@@ -734,6 +2892,8 @@ app.use((err, req, res, next) => {
 });
 
 // --- INITIALIZATION ---
+let stopNotificationWorker;
+
 async function initializeServer() {
     if (!uri) {
         console.error("❌ MONGO_URI not set.");
@@ -745,12 +2905,21 @@ async function initializeServer() {
         const db = client.db(DB_NAME);
         studentsCollection = db.collection(STUDENTS_COLLECTION);
         applicationsCollection = db.collection(APPLICATIONS_COLLECTION);
+        programsCollection = db.collection(PROGRAMS_COLLECTION);
+        idempotencyCollection = db.collection(IDEMPOTENCY_COLLECTION);
+        rateLimitCollection = db.collection(RATE_LIMIT_COLLECTION);
         
         // Ensure indexes exist for fast lookups
         await studentsCollection.createIndex({ studentNo: 1 }, { unique: true });
         await studentsCollection.createIndex({ email: 1 }, { unique: true });
+        await studentsCollection.createIndex({ verificationLinkTokenHash: 1 }, { sparse: true });
+        await programsCollection.createIndex({ name: 1 }, { unique: true });
+        await ensureIdempotencyIndexes(idempotencyCollection);
+        await ensureRateLimitIndexes(rateLimitCollection);
 
         app.listen(PORT, () => console.log(`🚀 Server running on http://localhost:${PORT}`));
+
+        stopNotificationWorker = startNotificationWorker();
     } catch (error) {
         console.error("❌ Initialization failed:", error);
         process.exit(1);
@@ -758,6 +2927,7 @@ async function initializeServer() {
 
     process.on('SIGINT', async () => {
         console.log('\n🛑 Server shutting down. Closing MongoDB connection...');
+        if (stopNotificationWorker) stopNotificationWorker();
         await client.close();
         console.log('✅ MongoDB connection closed.');
         process.exit(0);
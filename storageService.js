@@ -0,0 +1,435 @@
+// storageService.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Readable, pipeline } = require('stream');
+
+/**
+ * Document storage backends. Every backend exposes the same shape:
+ *
+ *   name                                   - 'cloudinary' | 'local' | 's3'
+ *   upload(source, { key, contentType })   - source is a Buffer or Readable; resolves { key, url, size }
+ *   delete(key)                            - resolves true if something was deleted
+ *   getSignedUrl(key, { expiresInSeconds }) - resolves a time-limited download URL
+ *   getMetadata(key)                       - resolves { key, size, contentType, createdAt } or null
+ *   download(key)                          - resolves a Readable of the file, or null if it does not exist
+ *   list(prefix)                           - resolves every key starting with prefix
+ *
+ * Keys look like `application_documents/<userId>/<docType>_<timestamp>` on every backend.
+ * STORAGE_BACKEND selects the backend (default: cloudinary).
+ */
+
+const DEFAULT_SIGNED_URL_TTL_SECONDS = 15 * 60;
+
+/**
+ * Builds the storage key for a student's document.
+ * @param {string} userId - The student's UID.
+ * @param {string} docType - Type of document (e.g., 'studentId', 'grades').
+ * @returns {string}
+ */
+function buildDocumentKey(userId, docType) {
+    return `${getUserKeyPrefix(userId)}${docType}_${Date.now()}`;
+}
+
+/**
+ * Key prefix of every document a student has uploaded.
+ * @param {string} userId - The student's UID.
+ * @returns {string}
+ */
+function getUserKeyPrefix(userId) {
+    return `application_documents/${userId}/`;
+}
+
+/**
+ * Extracts the owner UID from a document key.
+ * @param {string} key - A key from buildDocumentKey.
+ * @returns {string|null}
+ */
+function getKeyOwner(key) {
+    const [folder, userId] = String(key).split('/');
+    return folder === 'application_documents' && userId ? userId : null;
+}
+
+function toStream(source) {
+    return Buffer.isBuffer(source) ? Readable.from([source]) : source;
+}
+
+// --- CLOUDINARY ---
+
+/**
+ * Cloudinary backend. PDFs and images are stored with resource_type "image"
+ * so they can be previewed in the browser.
+ * @param {Object} cloudinary - The configured `cloudinary.v2` SDK.
+ */
+function createCloudinaryStorage(cloudinary) {
+    // Cloudinary needs the resource type for most calls; try image first, then raw
+    async function findResource(key) {
+        for (const resourceType of ['image', 'raw']) {
+            try {
+                return await cloudinary.api.resource(key, { resource_type: resourceType });
+            } catch (error) {
+                if (error.error?.http_code !== 404 && error.http_code !== 404) throw error;
+            }
+        }
+        return null;
+    }
+
+    return {
+        name: 'cloudinary',
+
+        upload(source, { key }) {
+            return new Promise((resolve, reject) => {
+                const uploadStream = cloudinary.uploader.upload_stream({
+                    public_id: key,
+                    // CRITICAL FIX: resource_type: 'auto' for in-browser previewing (PDFs, images)
+                    resource_type: 'auto',
+                    overwrite: true,
+                    quality: 'auto:low'
+                }, (error, result) => (error ? reject(error) : resolve({ key, url: result.secure_url, size: result.bytes })));
+
+                // A validation error on the source aborts the upload
+                pipeline(toStream(source), uploadStream, (error) => { if (error) reject(error); });
+            });
+        },
+
+        async delete(key) {
+            for (const resourceType of ['image', 'raw']) {
+                const result = await cloudinary.uploader.destroy(key, { resource_type: resourceType, invalidate: true });
+                if (result.result === 'ok') return true;
+            }
+            return false;
+        },
+
+        async getSignedUrl(key, { expiresInSeconds = DEFAULT_SIGNED_URL_TTL_SECONDS } = {}) {
+            const resource = await findResource(key);
+            if (!resource) return null;
+
+            return cloudinary.utils.private_download_url(key, resource.format, {
+                resource_type: resource.resource_type,
+                type: resource.type,
+                expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds
+            });
+        },
+
+        async getMetadata(key) {
+            const resource = await findResource(key);
+            if (!resource) return null;
+
+            return {
+                key,
+                size: resource.bytes,
+                contentType: resource.format === 'pdf' ? 'application/pdf' : `${resource.resource_type}/${resource.format}`,
+                createdAt: resource.created_at
+            };
+        },
+
+        async download(key) {
+            const url = await this.getSignedUrl(key);
+            if (!url) return null;
+
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Cloudinary download of ${key} failed with HTTP ${response.status}.`);
+            return Readable.fromWeb(response.body);
+        },
+
+        async list(prefix) {
+            const keys = [];
+            for (const resourceType of ['image', 'raw']) {
+                let nextCursor;
+                do {
+                    const page = await cloudinary.api.resources({
+                        type: 'upload', resource_type: resourceType, prefix, max_results: 500, next_cursor: nextCursor
+                    });
+                    keys.push(...page.resources.map((resource) => resource.public_id));
+                    nextCursor = page.next_cursor;
+                } while (nextCursor);
+            }
+            return keys;
+        }
+    };
+}
+
+// --- LOCAL FILESYSTEM ---
+
+/**
+ * Local filesystem backend for development and CI. Files are served by the
+ * built-in /api/files route, which checks either a signature or the caller's token.
+ * @param {Object} options
+ * @param {string} options.directory - Root folder (LOCAL_STORAGE_DIR).
+ * @param {string} options.publicBaseUrl - Base URL of this API (PUBLIC_BASE_URL).
+ * @param {string} options.signingSecret - HMAC secret for signed URLs (STORAGE_SIGNING_SECRET).
+ */
+function createLocalStorage({ directory, publicBaseUrl, signingSecret }) {
+    const root = path.resolve(directory);
+
+    // Keys become paths, so only allow plain segments (no "..", no absolute paths)
+    function resolvePath(key) {
+        const segments = String(key).split('/');
+        if (segments.length === 0 || segments.some((segment) => !/^[\w.-]+$/.test(segment) || /^\.+$/.test(segment))) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return path.join(root, ...segments);
+    }
+
+    function sign(key, expires) {
+        return crypto.createHmac('sha256', signingSecret).update(`${key}:${expires}`).digest('hex');
+    }
+
+    function fileUrl(key) {
+        return `${publicBaseUrl}/api/files/${key}`;
+    }
+
+    return {
+        name: 'local',
+
+        async upload(source, { key, contentType }) {
+            const filePath = resolvePath(key);
+            await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+
+            await new Promise((resolve, reject) => {
+                pipeline(toStream(source), fs.createWriteStream(filePath), (error) => (error ? reject(error) : resolve()));
+            }).catch(async (error) => {
+                await fsPromises.rm(filePath, { force: true });
+                throw error;
+            });
+
+            const { size } = await fsPromises.stat(filePath);
+            await fsPromises.writeFile(`${filePath}.meta.json`, JSON.stringify({
+                contentType: contentType || 'application/octet-stream',
+                size,
+                createdAt: new Date().toISOString()
+            }));
+
+            return { key, url: fileUrl(key), size };
+        },
+
+        async delete(key) {
+            const filePath = resolvePath(key);
+            try {
+                await fsPromises.unlink(filePath);
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+            await fsPromises.rm(`${filePath}.meta.json`, { force: true });
+            return true;
+        },
+
+        async getSignedUrl(key, { expiresInSeconds = DEFAULT_SIGNED_URL_TTL_SECONDS } = {}) {
+            if (!(await this.getMetadata(key))) return null;
+
+            const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+            return `${fileUrl(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+        },
+
+        async getMetadata(key) {
+            try {
+                const meta = JSON.parse(await fsPromises.readFile(`${resolvePath(key)}.meta.json`, 'utf8'));
+                return { key, ...meta };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async download(key) {
+            if (!(await this.getMetadata(key))) return null;
+            return fs.createReadStream(resolvePath(key));
+        },
+
+        async list(prefix) {
+            const keys = [];
+            async function walk(directoryPath, keyPrefix) {
+                let entries;
+                try {
+                    entries = await fsPromises.readdir(directoryPath, { withFileTypes: true });
+                } catch (error) {
+                    if (error.code === 'ENOENT') return;
+                    throw error;
+                }
+                for (const entry of entries) {
+                    const key = `${keyPrefix}${entry.name}`;
+                    if (entry.isDirectory()) await walk(path.join(directoryPath, entry.name), `${key}/`);
+                    else if (!entry.name.endsWith('.meta.json') && key.startsWith(prefix)) keys.push(key);
+                }
+            }
+
+            // Start from the deepest folder named in the prefix
+            const folder = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/') + 1) : '';
+            await walk(folder ? path.dirname(resolvePath(`${folder}x`)) : root, folder);
+            return keys;
+        },
+
+        /**
+         * Checks a signature produced by getSignedUrl (local backend only).
+         * @returns {boolean}
+         */
+        verifySignature(key, expires, signature) {
+            if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+
+            const expected = Buffer.from(sign(key, expires));
+            const given = Buffer.from(String(signature));
+            return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+        },
+
+        /**
+         * Opens a local file for the /api/files route (local backend only).
+         * @returns {fs.ReadStream}
+         */
+        createReadStream(key) {
+            return fs.createReadStream(resolvePath(key));
+        }
+    };
+}
+
+// --- S3-COMPATIBLE (AWS S3, MinIO, ...) ---
+
+/**
+ * S3-compatible backend. Set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true for MinIO.
+ * @param {Object} options
+ * @param {string} options.bucket - S3_BUCKET.
+ * @param {string} [options.region] - S3_REGION.
+ * @param {string} [options.endpoint] - S3_ENDPOINT.
+ * @param {boolean} [options.forcePathStyle] - S3_FORCE_PATH_STYLE.
+ * @param {string} [options.accessKeyId] - S3_ACCESS_KEY_ID.
+ * @param {string} [options.secretAccessKey] - S3_SECRET_ACCESS_KEY.
+ */
+function createS3Storage({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+    const { S3Client, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+    const { Upload } = require('@aws-sdk/lib-storage');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+    const s3 = new S3Client({
+        region: region || 'us-east-1',
+        endpoint,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    const objectUrl = (key) => (endpoint
+        ? `${endpoint.replace(/\/$/, '')}/${bucket}/${key}`
+        : `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com/${key}`);
+
+    async function headObject(key) {
+        try {
+            return await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        } catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    return {
+        name: 's3',
+
+        async upload(source, { key, contentType }) {
+            // lib-storage handles streams of unknown length with multipart uploads
+            const upload = new Upload({
+                client: s3,
+                params: { Bucket: bucket, Key: key, Body: source, ContentType: contentType }
+            });
+            await upload.done();
+
+            const head = await headObject(key);
+            return { key, url: objectUrl(key), size: head?.ContentLength };
+        },
+
+        async delete(key) {
+            if (!(await headObject(key))) return false;
+            await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+            return true;
+        },
+
+        async getSignedUrl(key, { expiresInSeconds = DEFAULT_SIGNED_URL_TTL_SECONDS } = {}) {
+            if (!(await headObject(key))) return null;
+            return getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: expiresInSeconds });
+        },
+
+        async getMetadata(key) {
+            const head = await headObject(key);
+            if (!head) return null;
+
+            return {
+                key,
+                size: head.ContentLength,
+                contentType: head.ContentType,
+                createdAt: head.LastModified ? head.LastModified.toISOString() : null
+            };
+        },
+
+        async download(key) {
+            try {
+                const { Body } = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return Body;
+            } catch (error) {
+                if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+                throw error;
+            }
+        },
+
+        async list(prefix) {
+            const keys = [];
+            let continuationToken;
+            do {
+                const page = await s3.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: continuationToken }));
+                keys.push(...(page.Contents || []).map((object) => object.Key));
+                continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (continuationToken);
+            return keys;
+        }
+    };
+}
+
+/**
+ * Builds the storage backend selected by STORAGE_BACKEND.
+ * @param {Object} deps
+ * @param {Object} deps.cloudinary - The configured `cloudinary.v2` SDK (cloudinary backend only).
+ * @returns {Object} - A storage backend.
+ */
+function createStorageFromEnv({ cloudinary }) {
+    const backend = process.env.STORAGE_BACKEND || 'cloudinary';
+
+    switch (backend) {
+        case 'cloudinary':
+            return createCloudinaryStorage(cloudinary);
+        case 'local': {
+            let signingSecret = process.env.STORAGE_SIGNING_SECRET;
+            if (!signingSecret) {
+                console.warn("⚠️ STORAGE_SIGNING_SECRET is not set. Using a random secret; signed URLs will not survive a restart.");
+                signingSecret = crypto.randomBytes(32).toString('hex');
+            }
+            return createLocalStorage({
+                directory: process.env.LOCAL_STORAGE_DIR || path.join(os.tmpdir(), 'loaiskoportal-storage'),
+                publicBaseUrl: (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, ''),
+                signingSecret
+            });
+        }
+        case 's3':
+            if (!process.env.S3_BUCKET) {
+                throw new Error("CRITICAL: STORAGE_BACKEND is s3 but S3_BUCKET is not set.");
+            }
+            return createS3Storage({
+                bucket: process.env.S3_BUCKET,
+                region: process.env.S3_REGION,
+                endpoint: process.env.S3_ENDPOINT,
+                forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+            });
+        default:
+            throw new Error(`CRITICAL: Unknown STORAGE_BACKEND "${backend}". Use cloudinary, local or s3.`);
+    }
+}
+
+module.exports = {
+    buildDocumentKey,
+    getUserKeyPrefix,
+    getKeyOwner,
+    createCloudinaryStorage,
+    createLocalStorage,
+    createS3Storage,
+    createStorageFromEnv
+};
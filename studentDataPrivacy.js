@@ -0,0 +1,285 @@
+// studentDataPrivacy.js
+
+const path = require('path');
+const { once } = require('events');
+const archiver = require('archiver');
+const admin = require('./firebaseAdmin');
+const { getUserKeyPrefix } = require('./storageService');
+const { RESUBMISSION_FILES_COLLECTION } = require('./resubmissionRequests');
+const { FINGERPRINTS_COLLECTION } = require('./documentFingerprints');
+const { HISTORY_SUBCOLLECTION, getApplicationHistory, toStudentSafeEntry } = require('./auditTrail');
+
+/**
+ * Data Privacy Act requests: erasure (purgeStudentData) and access
+ * (writeStudentDataExport) for one student, identified by UID (`studentNo`).
+ *
+ * Applications are anonymised rather than deleted so program statistics stay
+ * correct; only the fields in ANONYMISED_APPLICATION_FIELDS survive.
+ */
+const ANONYMISED_APPLICATION_FIELDS = Object.freeze([
+    'status', 'scholarshipType', 'programId', 'academicTerm', 'submittedAt', 'decidedAt', 'updatedAt'
+]);
+
+// Never leaves the server, not even in the student's own export
+const SECRET_STUDENT_PROJECTION = Object.freeze({
+    _id: 0, password: 0, verificationCode: 0, verificationCodeHash: 0, verificationLinkTokenHash: 0, passwordResetCodeHash: 0, emailChangeCodeHash: 0
+});
+
+// Internal bookkeeping on an application that is not about the student
+const INTERNAL_APPLICATION_FIELDS = Object.freeze([
+    'searchKeywords', 'statusNotification', 'resubmissionNotification', 'verificationSnapshots',
+    // Duplicate flags point at other students' applications
+    'duplicateDocuments', 'hasDuplicateDocuments'
+]);
+// Staff identities recorded inside application data; they are other people's personal data
+const STAFF_FIELDS = Object.freeze(['requestedBy', 'reviewedBy', 'calculatedBy']);
+
+const CONTENT_TYPE_EXTENSIONS = Object.freeze({
+    'application/pdf': '.pdf',
+    'image/jpeg': '.jpg',
+    'image/png': '.png'
+});
+
+const firestoreDb = () => admin.firestore();
+
+/**
+ * Runs one purge step and records its outcome without stopping the others.
+ * A failed step leaves the report incomplete so the purge can be run again.
+ */
+async function runStep(report, store, step) {
+    try {
+        report.stores[store] = { status: 'ok', ...(await step()) };
+    } catch (error) {
+        report.stores[store] = { status: 'failed', error: error.message || String(error) };
+    }
+}
+
+async function deleteQueryResults(query) {
+    const snapshot = await query.get();
+    await Promise.all(snapshot.docs.map((doc) => doc.ref.delete()));
+    return snapshot.size;
+}
+
+/**
+ * Erases a student's personal data from every store. Safe to run again after a
+ * partial failure: every step only touches what is still there.
+ * @param {Object} options
+ * @param {string} options.userId - The student's UID.
+ * @param {import('mongodb').Collection} options.studentsCollection - MongoDB students.
+ * @param {Object} options.storage - The document storage backend (storageService).
+ * @returns {Promise<Object>} - { userId, complete, found, stores: { <store>: { status, ...counts } } }
+ */
+async function purgeStudentData({ userId, studentsCollection, storage }) {
+    const db = firestoreDb();
+    const report = { userId, stores: {} };
+    const applicationsSnapshot = await db.collection('scholarship_applications').where('userId', '==', userId).get();
+    const applicationIds = applicationsSnapshot.docs.map((doc) => doc.id);
+
+    // Files first: if anything below fails the prefix can still be found on the next run
+    await runStep(report, 'storage', async () => {
+        const keys = await storage.list(getUserKeyPrefix(userId));
+        const results = await Promise.allSettled(keys.map((key) => storage.delete(key)));
+        const failed = keys.filter((key, index) => results[index].status === 'rejected');
+        if (failed.length > 0) throw new Error(`${failed.length} of ${keys.length} files could not be deleted: ${failed.join(', ')}`);
+        return { deleted: keys.length };
+    });
+
+    // Legacy file documents were keyed by UID instead of application ID
+    const fileDocIds = [...applicationIds, userId];
+    await runStep(report, 'applicationFiles', async () => {
+        const refs = fileDocIds.map((id) => db.collection('applications_files').doc(id));
+        const snapshots = await db.getAll(...refs);
+        const existing = snapshots.filter((snapshot) => snapshot.exists);
+        await Promise.all(existing.map((snapshot) => snapshot.ref.delete()));
+        return { deleted: existing.length };
+    });
+    await runStep(report, 'resubmissionFiles', async () => {
+        const refs = fileDocIds.map((id) => db.collection(RESUBMISSION_FILES_COLLECTION).doc(id));
+        const snapshots = await db.getAll(...refs);
+        const existing = snapshots.filter((snapshot) => snapshot.exists);
+        await Promise.all(existing.map((snapshot) => snapshot.ref.delete()));
+        return { deleted: existing.length };
+    });
+
+    await runStep(report, 'applications', async () => {
+        let historyEntries = 0;
+        for (const doc of applicationsSnapshot.docs) {
+            const historyRef = doc.ref.collection(HISTORY_SUBCOLLECTION);
+            historyEntries += (await historyRef.count().get()).data().count;
+            await db.recursiveDelete(historyRef);
+
+            const application = doc.data();
+            const anonymised = Object.fromEntries(ANONYMISED_APPLICATION_FIELDS
+                .filter((field) => application[field] !== undefined)
+                .map((field) => [field, application[field]]));
+            if (application.award) anonymised.award = { amount: application.award.amount, currency: application.award.currency };
+            // set() without merge replaces the document, dropping every other field
+            await doc.ref.set({ ...anonymised, anonymisedAt: admin.firestore.FieldValue.serverTimestamp() });
+        }
+        return { anonymised: applicationsSnapshot.size, historyEntriesDeleted: historyEntries };
+    });
+
+    await runStep(report, 'documentFingerprints', async () => ({
+        deleted: await deleteQueryResults(db.collection(FINGERPRINTS_COLLECTION).where('userId', '==', userId))
+    }));
+
+    await runStep(report, 'notificationOutbox', async () => ({
+        deleted: await deleteQueryResults(db.collection('notification_outbox').where('userId', '==', userId))
+    }));
+
+    await runStep(report, 'currentApplication', async () => {
+        const ref = db.collection('current_application').doc(userId);
+        const existed = (await ref.get()).exists;
+        await ref.delete();
+        return { deleted: existed };
+    });
+
+    await runStep(report, 'firestoreProfile', async () => {
+        const ref = db.collection('students').doc(userId);
+        const existed = (await ref.get()).exists;
+        await ref.delete();
+        return { deleted: existed };
+    });
+
+    await runStep(report, 'auth', async () => {
+        try {
+            await admin.auth().deleteUser(userId);
+            return { deleted: true };
+        } catch (error) {
+            if (error.code === 'auth/user-not-found') return { deleted: false };
+            throw error;
+        }
+    });
+
+    // MongoDB last: while the record exists the student can still be found and purged again
+    await runStep(report, 'mongo', async () => {
+        const result = await studentsCollection.deleteOne({ studentNo: userId });
+        return { deleted: result.deletedCount > 0 };
+    });
+
+    const outcomes = Object.values(report.stores);
+    report.complete = outcomes.every((outcome) => outcome.status === 'ok');
+    report.found = outcomes.some((outcome) => outcome.deleted === true || outcome.deleted > 0 || outcome.anonymised > 0);
+    report.finishedAt = new Date().toISOString();
+    return report;
+}
+
+// Firestore Timestamps → ISO strings, staff identities removed
+function toExportValue(value) {
+    if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(toExportValue);
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !STAFF_FIELDS.includes(key))
+            .map(([key, nested]) => [key, toExportValue(nested)]));
+    }
+    return value;
+}
+
+function toExportedApplication(applicationId, application) {
+    const exported = { ...application, applicationId };
+    for (const field of INTERNAL_APPLICATION_FIELDS) delete exported[field];
+    if (exported.award) exported.award = { amount: exported.award.amount, currency: exported.award.currency };
+    return toExportValue(exported);
+}
+
+/**
+ * Collects the document files on record for the student's applications.
+ * @returns {Promise<Map<string, Object>>} - storage key → { applicationId, docType, filename, type, uploadedAt }.
+ */
+async function loadDocumentRecords(db, applicationIds, userId) {
+    const records = new Map();
+    const fileDocIds = [...applicationIds, userId];
+    for (const collection of ['applications_files', RESUBMISSION_FILES_COLLECTION]) {
+        const snapshots = await db.getAll(...fileDocIds.map((id) => db.collection(collection).doc(id)));
+        for (const snapshot of snapshots.filter((doc) => doc.exists)) {
+            for (const [docType, document] of Object.entries(snapshot.get('documents') || {})) {
+                if (!document?.storageKey) continue;
+                records.set(document.storageKey, {
+                    applicationId: snapshot.id === userId ? null : snapshot.id,
+                    docType,
+                    filename: document.filename || null,
+                    type: document.type || null,
+                    uploadedAt: toExportValue(document.uploadedAt) || null
+                });
+            }
+        }
+    }
+    return records;
+}
+
+/**
+ * Streams a zip of everything held about a student to a writable stream:
+ * profile.json, applications.json (with student-safe history), documents.json
+ * and the document files themselves under documents/.
+ * @param {stream.Writable} output - Where to write (the HTTP response).
+ * @param {Object} options
+ * @param {string} options.userId - The student's UID.
+ * @param {import('mongodb').Collection} options.studentsCollection - MongoDB students.
+ * @param {Object} options.storage - The document storage backend (storageService).
+ * @returns {Promise<{applications: number, documents: number, missingDocuments: number}>}
+ */
+async function writeStudentDataExport(output, { userId, studentsCollection, storage }) {
+    const db = firestoreDb();
+    const [account, firestoreProfile, applicationsSnapshot] = await Promise.all([
+        studentsCollection.findOne({ studentNo: userId }, { projection: SECRET_STUDENT_PROJECTION }),
+        db.collection('students').doc(userId).get(),
+        db.collection('scholarship_applications').where('userId', '==', userId).get()
+    ]);
+
+    const applications = [];
+    for (const doc of applicationsSnapshot.docs) {
+        const history = (await getApplicationHistory(doc.ref)).map(toStudentSafeEntry).filter(Boolean);
+        applications.push({ ...toExportedApplication(doc.id, doc.data()), history: toExportValue(history) });
+    }
+
+    const records = await loadDocumentRecords(db, applicationsSnapshot.docs.map((doc) => doc.id), userId);
+    const keys = await storage.list(getUserKeyPrefix(userId));
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const finished = once(output, 'finish');
+    // Rejects as soon as the archive fails (e.g. a file stream breaks), even between awaits
+    const failure = new Promise((resolve, reject) => archive.once('error', reject));
+    failure.catch(() => {});
+    archive.on('warning', (error) => console.warn("Data export archive warning:", error.message));
+    archive.pipe(output);
+
+    const json = (value) => JSON.stringify(value, null, 2);
+    archive.append(json({
+        exportedAt: new Date().toISOString(),
+        account: account ? toExportValue(account) : null,
+        firestoreProfile: firestoreProfile.exists ? toExportValue(firestoreProfile.data()) : null
+    }), { name: 'profile.json' });
+    archive.append(json(applications), { name: 'applications.json' });
+
+    // Files are fetched one at a time so a large export never holds more than one in flight
+    const documents = [];
+    for (const key of keys) {
+        const record = records.get(key) || {};
+        const extension = path.extname(record.filename || '') || CONTENT_TYPE_EXTENSIONS[record.type] || '';
+        const file = `documents/${path.basename(key)}${extension}`;
+        const stream = await storage.download(key);
+        if (!stream) {
+            documents.push({ ...record, storageKey: key, file: null, missing: true });
+            continue;
+        }
+        archive.append(stream, { name: file });
+        await Promise.race([once(archive, 'entry'), failure]);
+        documents.push({ ...record, storageKey: key, file });
+    }
+    archive.append(json(documents), { name: 'documents.json' });
+
+    await Promise.race([archive.finalize(), failure]);
+    await Promise.race([finished, failure]);
+    return {
+        applications: applications.length,
+        documents: documents.filter((document) => !document.missing).length,
+        missingDocuments: documents.filter((document) => document.missing).length
+    };
+}
+
+module.exports = {
+    ANONYMISED_APPLICATION_FIELDS,
+    purgeStudentData,
+    writeStudentDataExport
+};
@@ -0,0 +1,124 @@
+// studentProfile.js
+
+const { createHttpError } = require('./httpError');
+const { SUPPORTED_LOCALES } = require('./emailTemplates');
+
+/**
+ * The student profile: what a student can see and change about their own account.
+ * MongoDB holds the record; Firebase Auth (displayName) and the Firestore
+ * `students` document are refreshed from it after every change.
+ *
+ * The email address is not edited here. It is the login key, so a change only
+ * takes effect once the new address confirms a code (see verificationCodes.js).
+ */
+const MAX_NAME_LENGTH = 100;
+
+// Field → required. Applications keep the values they were submitted with.
+const EDITABLE_PROFILE_FIELDS = Object.freeze({
+    firstName: true,
+    middleName: false,
+    lastName: true,
+    course: true,
+    yearLevel: true,
+    preferredLanguage: true
+});
+
+// Deliberately simple: the confirmation code is the real check that an address works
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validates a profile update. Only the fields sent are changed.
+ * @param {Object} body - The request body.
+ * @returns {Object} - The MongoDB `$set`.
+ * @throws {Error} - 400 (createHttpError) listing every invalid field.
+ */
+function parseProfileUpdate(body = {}) {
+    // Own keys only: 'constructor' or 'toString' are not profile fields
+    const unknown = Object.keys(body).filter((field) => !Object.hasOwn(EDITABLE_PROFILE_FIELDS, field));
+    if (unknown.includes('email')) {
+        throw createHttpError(400, "Email cannot be changed here. Use /api/my/email-change.");
+    }
+    if (unknown.length > 0) {
+        throw createHttpError(400, `These fields cannot be changed: ${unknown.join(', ')}.`, { fields: unknown });
+    }
+
+    const $set = {};
+    const errors = [];
+
+    for (const [field, required] of Object.entries(EDITABLE_PROFILE_FIELDS)) {
+        if (!Object.hasOwn(body, field)) continue;
+        const value = typeof body[field] === 'number' ? String(body[field]) : body[field];
+
+        if (value === null || (typeof value === 'string' && value.trim() === '')) {
+            // Optional fields are stored as null when absent, like at registration
+            if (required) errors.push(`${field} cannot be empty.`);
+            else $set[field] = null;
+            continue;
+        }
+        if (typeof value !== 'string') {
+            errors.push(`${field} must be text.`);
+            continue;
+        }
+        if (field === 'preferredLanguage' && !SUPPORTED_LOCALES.includes(value)) {
+            errors.push(`preferredLanguage must be one of: ${SUPPORTED_LOCALES.join(', ')}.`);
+            continue;
+        }
+        if (value.trim().length > MAX_NAME_LENGTH) {
+            errors.push(`${field} must be at most ${MAX_NAME_LENGTH} characters.`);
+            continue;
+        }
+        $set[field] = value.trim();
+    }
+
+    if (errors.length > 0) throw createHttpError(400, "Invalid profile update.", { errors });
+    if (Object.keys($set).length === 0) {
+        throw createHttpError(400, `Nothing to update. Editable fields: ${Object.keys(EDITABLE_PROFILE_FIELDS).join(', ')}.`);
+    }
+    return $set;
+}
+
+/**
+ * Normalises and validates a new email address.
+ * @param {*} email - From the request body.
+ * @returns {string} - Trimmed and lower-cased.
+ * @throws {Error} - 400 (createHttpError) if it is not an email address.
+ */
+function parseEmailAddress(email) {
+    const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(normalized)) throw createHttpError(400, "A valid email address is required.");
+    return normalized;
+}
+
+/**
+ * The profile as returned to its owner.
+ * @param {Object} student - The MongoDB student.
+ * @returns {Object}
+ */
+function toProfileView(student) {
+    const pendingEmailChange = student.pendingEmail && student.emailChangeExpiresAt > new Date()
+        ? { email: student.pendingEmail, expiresAt: student.emailChangeExpiresAt.toISOString() }
+        : null;
+
+    return {
+        studentNo: student.studentNo,
+        firstName: student.firstName,
+        middleName: student.middleName || null,
+        lastName: student.lastName,
+        email: student.email,
+        course: student.course || null,
+        yearLevel: student.yearLevel || null,
+        preferredLanguage: student.preferredLanguage || null,
+        role: student.role,
+        isVerified: Boolean(student.isVerified),
+        pendingEmailChange,
+        createdAt: student.createdAt?.toISOString?.() ?? null,
+        updatedAt: student.profileUpdatedAt?.toISOString?.() ?? null
+    };
+}
+
+module.exports = {
+    EDITABLE_PROFILE_FIELDS,
+    parseProfileUpdate,
+    parseEmailAddress,
+    toProfileView
+};
@@ -0,0 +1,254 @@
+// uploadValidation.js
+
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const busboy = require('busboy');
+const { createHttpError } = require('./httpError');
+
+// --- UPLOAD LIMITS (override with env, in megabytes) ---
+const MB = 1024 * 1024;
+const MAX_DOCUMENT_BYTES = (Number(process.env.UPLOAD_MAX_DOCUMENT_MB) || 10) * MB;
+const MAX_TOTAL_BYTES = (Number(process.env.UPLOAD_MAX_TOTAL_MB) || 40) * MB;
+const MAX_FILES_PER_REQUEST = 20;
+
+/**
+ * Allow-list of document formats, identified by their leading "magic bytes".
+ * The client's declared MIME type is never trusted.
+ */
+const ALLOWED_FILE_TYPES = Object.freeze([
+    { format: 'pdf', mimeType: 'application/pdf', signature: [0x25, 0x50, 0x44, 0x46, 0x2D] }, // %PDF-
+    { format: 'jpeg', mimeType: 'image/jpeg', signature: [0xFF, 0xD8, 0xFF] },
+    { format: 'png', mimeType: 'image/png', signature: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] }
+]);
+
+const SIGNATURE_BYTES = Math.max(...ALLOWED_FILE_TYPES.map((type) => type.signature.length));
+
+/**
+ * Identifies a file from its first bytes.
+ * @param {Buffer} head - At least the first few bytes of the file.
+ * @returns {{format: string, mimeType: string}|null} - Null if the type is not allowed.
+ */
+function detectFileType(head) {
+    const match = ALLOWED_FILE_TYPES.find(({ signature }) =>
+        head.length >= signature.length && signature.every((byte, index) => head[index] === byte)
+    );
+    return match ? { format: match.format, mimeType: match.mimeType } : null;
+}
+
+function unsupportedTypeError(docType) {
+    return createHttpError(415, `${docType}: unsupported file type. Allowed formats: ${ALLOWED_FILE_TYPES.map((t) => t.format.toUpperCase()).join(', ')}.`);
+}
+
+function documentTooLargeError(docType) {
+    return createHttpError(413, `${docType}: file exceeds the ${MAX_DOCUMENT_BYTES / MB} MB per-document limit.`);
+}
+
+function totalTooLargeError() {
+    return createHttpError(413, `Upload exceeds the ${MAX_TOTAL_BYTES / MB} MB total limit.`);
+}
+
+/**
+ * SHA-256 of a document's content, used to detect the same file on different applications.
+ * @param {Buffer} buffer - The file content.
+ * @returns {string} - Hex digest.
+ */
+function hashDocument(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Transform stream that checks magic bytes and size limits while passing the
+ * file through unchanged, hashing it on the way. Errors stop the stream (and,
+ * through pipeline, the upload).
+ */
+class DocumentValidationStream extends Transform {
+    /**
+     * @param {string} docType - Used in error messages.
+     * @param {Function} onBytes - Called with each chunk size; throws to abort (total limit).
+     */
+    constructor(docType, onBytes) {
+        super();
+        this.docType = docType;
+        this.onBytes = onBytes;
+        this.bytes = 0;
+        this.head = Buffer.alloc(0);
+        this.detectedType = null;
+        this.hash = crypto.createHash('sha256');
+        this.contentHash = null;
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.bytes += chunk.length;
+        if (this.bytes > MAX_DOCUMENT_BYTES) return callback(documentTooLargeError(this.docType));
+
+        try {
+            this.onBytes(chunk.length);
+        } catch (error) {
+            return callback(error);
+        }
+        this.hash.update(chunk);
+
+        if (this.detectedType) return callback(null, chunk);
+
+        // Hold data back until the signature can be checked
+        this.head = Buffer.concat([this.head, chunk]);
+        if (this.head.length < SIGNATURE_BYTES) return callback();
+
+        this.releaseHead(callback);
+    }
+
+    _flush(callback) {
+        if (this.bytes === 0) return callback(createHttpError(400, `${this.docType}: file is empty.`));
+        this.contentHash = this.hash.digest('hex');
+        if (this.detectedType) return callback();
+
+        this.releaseHead(callback);
+    }
+
+    releaseHead(callback) {
+        this.detectedType = detectFileType(this.head);
+        if (!this.detectedType) return callback(unsupportedTypeError(this.docType));
+
+        const head = this.head;
+        this.head = null;
+        callback(null, head);
+    }
+}
+
+/**
+ * Parses a multipart/form-data request, streaming each file through validation
+ * into `onFile` without buffering it in memory.
+ * Text fields must come before the files so `onFile` can read them.
+ *
+ * @param {import('express').Request} req - The incoming request.
+ * @param {Function} onFile - async (fieldName, stream, info) => result. `info` has
+ *   { filename, fields, getDetectedType(), getBytes(), getContentHash() }; the getters
+ *   are only final once the stream has ended.
+ * @returns {Promise<{fields: Object, files: Array}>} - Text fields and onFile results, in order.
+ *   On failure the promise rejects only once every onFile call has settled; the error's
+ *   `uploadedFiles` holds the results of the calls that finished, so the caller can delete them.
+ */
+function parseMultipartUpload(req, onFile) {
+    return new Promise((resolve, reject) => {
+        const fields = {};
+        const uploads = [];
+        const validators = [];
+        let totalBytes = 0;
+        let failed = false;
+
+        let parser;
+        try {
+            parser = busboy({
+                headers: req.headers,
+                limits: { fileSize: MAX_DOCUMENT_BYTES + 1, files: MAX_FILES_PER_REQUEST, fields: 50, fieldSize: MB }
+            });
+        } catch (error) {
+            return reject(createHttpError(400, "Malformed multipart request."));
+        }
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            req.unpipe(parser);
+            req.resume(); // drain the rest of the body
+
+            // Files still streaming get no more data: stop them so their onFile calls end too
+            for (const validator of validators) {
+                if (!validator.writableFinished) validator.destroy(error);
+            }
+            Promise.allSettled(uploads).then((results) => {
+                error.uploadedFiles = results.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+                reject(error);
+            });
+        };
+
+        parser.on('field', (name, value) => { fields[name] = value; });
+
+        parser.on('file', (fieldName, file, info) => {
+            if (failed) return file.resume();
+
+            const validator = new DocumentValidationStream(fieldName, (bytes) => {
+                totalBytes += bytes;
+                if (totalBytes > MAX_TOTAL_BYTES) throw totalTooLargeError();
+            });
+            pipeline(file, validator, () => {}); // errors surface through the validator
+            validators.push(validator);
+
+            const upload = Promise.resolve()
+                .then(() => onFile(fieldName, validator, {
+                    filename: info.filename,
+                    fields: { ...fields },
+                    getDetectedType: () => validator.detectedType,
+                    getBytes: () => validator.bytes,
+                    getContentHash: () => validator.contentHash
+                }));
+            upload.catch((error) => {
+                validator.destroy();
+                fail(error);
+            });
+            uploads.push(upload);
+        });
+
+        parser.on('filesLimit', () => fail(createHttpError(413, `Too many files. At most ${MAX_FILES_PER_REQUEST} per request.`)));
+        parser.on('error', () => fail(createHttpError(400, "Malformed multipart request.")));
+        parser.on('close', () => {
+            Promise.all(uploads)
+                .then((files) => { if (!failed) resolve({ fields, files }); })
+                .catch(fail);
+        });
+
+        req.pipe(parser);
+    });
+}
+
+/**
+ * Decodes and validates a base64 document from the deprecated JSON upload path.
+ * Applies the same allow-list and per-document limit as the multipart path.
+ * @param {string} fileData - Base64 content, with or without a `data:` prefix.
+ * @param {string} docType - Used in error messages.
+ * @returns {{buffer: Buffer, mimeType: string, dataUri: string, contentHash: string}} - Content, its detected type and hash.
+ * @throws {Error} - 400/413/415 HTTP errors (see httpError.js).
+ */
+function decodeBase64Document(fileData, docType) {
+    if (typeof fileData !== 'string' || fileData.length === 0) {
+        throw createHttpError(400, `${docType}: file data is missing.`);
+    }
+
+    const base64 = fileData.startsWith('data:') ? fileData.slice(fileData.indexOf(',') + 1) : fileData;
+
+    // Reject before decoding: base64 is 4/3 the size of the content
+    if (Math.floor(base64.length * 3 / 4) > MAX_DOCUMENT_BYTES + 2) throw documentTooLargeError(docType);
+
+    const buffer = Buffer.from(base64, 'base64');
+    if (buffer.length === 0) throw createHttpError(400, `${docType}: file is empty.`);
+    if (buffer.length > MAX_DOCUMENT_BYTES) throw documentTooLargeError(docType);
+
+    const detectedType = detectFileType(buffer);
+    if (!detectedType) throw unsupportedTypeError(docType);
+
+    return {
+        buffer,
+        mimeType: detectedType.mimeType,
+        dataUri: `data:${detectedType.mimeType};base64,${base64}`,
+        contentHash: hashDocument(buffer)
+    };
+}
+
+/**
+ * Throws if the combined size of several decoded documents is over the total limit.
+ * @param {number} totalBytes - Sum of all document sizes in the request.
+ */
+function assertTotalSize(totalBytes) {
+    if (totalBytes > MAX_TOTAL_BYTES) throw totalTooLargeError();
+}
+
+module.exports = {
+    ALLOWED_FILE_TYPES,
+    MAX_DOCUMENT_BYTES,
+    MAX_TOTAL_BYTES,
+    detectFileType,
+    hashDocument,
+    parseMultipartUpload,
+    decodeBase64Document,
+    assertTotalSize
+};
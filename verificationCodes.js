@@ -0,0 +1,174 @@
+// verificationCodes.js
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { generateVerificationCode } = require('./emailService');
+
+/**
+ * Email verification challenges. Registration and resend issue two secrets:
+ * a 6-digit code and a single-use link token. Only their hashes are stored on
+ * the MongoDB student (`verificationCodeHash`, `verificationLinkTokenHash`);
+ * both expire at `codeExpiresAt`.
+ *
+ * Every code guess is counted in `verificationAttempts` before it is checked;
+ * after MAX_VERIFICATION_ATTEMPTS wrong guesses the code stops working and a
+ * new one has to be requested. The link token is 256 bits and is not guessable.
+ *
+ * An email change uses the same rules with its own fields (`pendingEmail`,
+ * `emailChangeCodeHash`, `emailChangeAttempts`, `emailChangeExpiresAt`), so a
+ * pending change never touches the account's own verification state.
+ */
+const VERIFICATION_CODE_TTL_MINUTES = 15;
+const MAX_VERIFICATION_ATTEMPTS = 5;
+const CODE_HASH_ROUNDS = 10;
+
+// The portal page that reads ?token= and posts it to /api/verify-link
+const VERIFICATION_LINK_URL = process.env.VERIFICATION_LINK_URL || 'https://loaiskoportal.web.app/verify-email';
+
+// Every field a challenge writes, plus the plaintext code stored by earlier versions
+const VERIFICATION_FIELDS = Object.freeze({
+    verificationCodeHash: "",
+    verificationLinkTokenHash: "",
+    verificationAttempts: "",
+    codeExpiresAt: "",
+    verificationCode: ""
+});
+
+// Every field an email change challenge writes
+const EMAIL_CHANGE_FIELDS = Object.freeze({
+    pendingEmail: "",
+    emailChangeCodeHash: "",
+    emailChangeAttempts: "",
+    emailChangeExpiresAt: ""
+});
+
+// Where each kind of challenge keeps its code
+const VERIFICATION_CODE_SLOT = Object.freeze({ hash: 'verificationCodeHash', attempts: 'verificationAttempts', expiresAt: 'codeExpiresAt' });
+const EMAIL_CHANGE_CODE_SLOT = Object.freeze({ hash: 'emailChangeCodeHash', attempts: 'emailChangeAttempts', expiresAt: 'emailChangeExpiresAt' });
+
+const codeExpiry = () => new Date(Date.now() + VERIFICATION_CODE_TTL_MINUTES * 60 * 1000);
+
+/**
+ * Hashes a link token. The token is random and long, so a fast hash is enough
+ * and lets the student be found by it.
+ * @param {string} token - From the link.
+ * @returns {string}
+ */
+function hashLinkToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Creates a new code and link for a student.
+ * @returns {Promise<{code: string, verificationUrl: string, fields: Object}>}
+ *   `fields` is the MongoDB `$set`; `code` and `verificationUrl` go only into the email.
+ */
+async function createVerificationChallenge() {
+    const code = generateVerificationCode();
+    const linkToken = crypto.randomBytes(32).toString('base64url');
+
+    const url = new URL(VERIFICATION_LINK_URL);
+    url.searchParams.set('token', linkToken);
+
+    return {
+        code,
+        verificationUrl: url.toString(),
+        fields: {
+            verificationCodeHash: await bcrypt.hash(code, CODE_HASH_ROUNDS),
+            verificationLinkTokenHash: hashLinkToken(linkToken),
+            verificationAttempts: 0,
+            codeExpiresAt: codeExpiry()
+        }
+    };
+}
+
+/**
+ * Creates a code confirming a new email address. There is no link: the change
+ * is confirmed from the signed-in portal.
+ * @param {string} newEmail - The address the code is sent to.
+ * @returns {Promise<{code: string, fields: Object}>} - `fields` is the MongoDB `$set`.
+ */
+async function createEmailChangeChallenge(newEmail) {
+    const code = generateVerificationCode();
+    return {
+        code,
+        fields: {
+            pendingEmail: newEmail,
+            emailChangeCodeHash: await bcrypt.hash(code, CODE_HASH_ROUNDS),
+            emailChangeAttempts: 0,
+            emailChangeExpiresAt: codeExpiry()
+        }
+    };
+}
+
+/**
+ * Checks a code against one of the student's stored challenges. The attempt is
+ * counted first (atomically), so parallel guesses cannot exceed the limit.
+ * @param {import('mongodb').Collection} studentsCollection - MongoDB students.
+ * @param {Object} user - The student record.
+ * @param {string} code - The code entered by the student.
+ * @param {Object} slot - VERIFICATION_CODE_SLOT or EMAIL_CHANGE_CODE_SLOT.
+ * @returns {Promise<{valid: boolean, reason?: string, attemptsRemaining?: number}>}
+ *   reason: 'expired' (no code, expired or attempts used up) | 'mismatch'.
+ */
+async function checkCode(studentsCollection, user, code, slot) {
+    const codeHash = user[slot.hash];
+    if (!codeHash || !user[slot.expiresAt] || user[slot.expiresAt] < new Date()) {
+        return { valid: false, reason: 'expired' };
+    }
+
+    const claimed = await studentsCollection.findOneAndUpdate(
+        {
+            _id: user._id,
+            [slot.hash]: codeHash,
+            [slot.attempts]: { $not: { $gte: MAX_VERIFICATION_ATTEMPTS } }
+        },
+        { $inc: { [slot.attempts]: 1 } },
+        { returnDocument: 'after', projection: { [slot.attempts]: 1 } }
+    );
+    if (!claimed) return { valid: false, reason: 'expired' };
+
+    if (await bcrypt.compare(String(code), codeHash)) return { valid: true };
+
+    const attemptsRemaining = MAX_VERIFICATION_ATTEMPTS - claimed[slot.attempts];
+    if (attemptsRemaining <= 0) {
+        // The code is spent (for registration, the link keeps working until it expires)
+        await studentsCollection.updateOne(
+            { _id: user._id, [slot.hash]: codeHash },
+            { $unset: { [slot.hash]: "" } }
+        );
+    }
+    return { valid: false, reason: 'mismatch', attemptsRemaining: Math.max(attemptsRemaining, 0) };
+}
+
+/**
+ * Checks an account verification code (see checkCode).
+ * @param {import('mongodb').Collection} studentsCollection - MongoDB students.
+ * @param {Object} user - The student record.
+ * @param {string} code - The code entered by the student.
+ */
+function checkVerificationCode(studentsCollection, user, code) {
+    return checkCode(studentsCollection, user, code, VERIFICATION_CODE_SLOT);
+}
+
+/**
+ * Checks an email change code (see checkCode).
+ * @param {import('mongodb').Collection} studentsCollection - MongoDB students.
+ * @param {Object} user - The student record.
+ * @param {string} code - The code sent to the new address.
+ */
+function checkEmailChangeCode(studentsCollection, user, code) {
+    return checkCode(studentsCollection, user, code, EMAIL_CHANGE_CODE_SLOT);
+}
+
+module.exports = {
+    VERIFICATION_CODE_TTL_MINUTES,
+    MAX_VERIFICATION_ATTEMPTS,
+    VERIFICATION_FIELDS,
+    EMAIL_CHANGE_FIELDS,
+    hashLinkToken,
+    createVerificationChallenge,
+    createEmailChangeChallenge,
+    checkVerificationCode,
+    checkEmailChangeCode
+};